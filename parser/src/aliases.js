@@ -0,0 +1,220 @@
+import { readFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { basename } from 'path';
+
+/**
+ * Participant aliases and identity merging
+ * The same person can appear as "+91 98765 43210" in one export and "Mom" in
+ * another, or change name when their contact is edited. An alias file merges
+ * those names into one canonical participant with a stable ID:
+ *
+ *   {
+ *     "participants": [
+ *       { "id": "mom", "name": "Mom", "color": "#e91e63", "aliases": ["+91 98765 43210", "Mummy"] }
+ *     ]
+ *   }
+ *
+ * "id" defaults to a slug of "name"; "color" is optional.
+ * Senders not in the map keep their name and get an ID derived from it.
+ */
+
+export const ALIASES_FILE_NAME = 'aliases.json';
+
+// "#e91e63", "#e1e" or a CSS color name like "teal"
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+)$/i;
+
+/**
+ * Normalize a sender name for matching
+ * Phone numbers compare by digits only, names case- and whitespace-insensitively.
+ */
+function normalizeName(name) {
+  const compact = name.replace(/[\s\-().]/g, '');
+  if (/^\+?\d{6,}$/.test(compact)) {
+    return compact.replace(/^\+/, '');
+  }
+  return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Stable participant ID for a sender name ("Mom" → "p_3f1c9a0b2e")
+ */
+function hashId(name) {
+  return 'p_' + createHash('sha1').update(normalizeName(name)).digest('hex').slice(0, 10);
+}
+
+/**
+ * Readable ID from a display name ("Aunt Meera" → "aunt-meera"), falling back to a hash
+ */
+function slugify(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug || hashId(name);
+}
+
+/**
+ * Read one alias file
+ * Returns [] when the file does not exist and is not required.
+ */
+async function readAliasFile(filePath, required) {
+  let content;
+  try {
+    content = await readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) {
+      return [];
+    }
+    throw error;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid alias file ${basename(filePath)}: ${error.message}`);
+  }
+
+  if (!Array.isArray(data.participants)) {
+    throw new Error(`Invalid alias file ${basename(filePath)}: expected a "participants" array`);
+  }
+
+  return data.participants.map((entry, index) => {
+    if (!entry || (typeof entry.name !== 'string' && typeof entry.id !== 'string')) {
+      throw new Error(`Invalid alias file ${basename(filePath)}: participant ${index + 1} needs a "name" or "id"`);
+    }
+    if (entry.color !== undefined && !COLOR_PATTERN.test(entry.color)) {
+      throw new Error(`Invalid alias file ${basename(filePath)}: "${entry.color}" is not a hex or named color`);
+    }
+    return {
+      id: entry.id || slugify(entry.name),
+      name: entry.name,
+      color: entry.color,
+      aliases: Array.isArray(entry.aliases) ? entry.aliases : []
+    };
+  });
+}
+
+/**
+ * Build an alias map from participant entries
+ * @returns {{size: number, resolve: Function}} resolve(sender) → { id, name, color }
+ */
+export function createAliasMap(entries = []) {
+  const byName = new Map();
+
+  for (const entry of entries) {
+    for (const name of [entry.name, entry.id, ...entry.aliases]) {
+      if (name) {
+        byName.set(normalizeName(name), entry);
+      }
+    }
+  }
+
+  return {
+    size: entries.length,
+
+    resolve(sender) {
+      const entry = byName.get(normalizeName(sender));
+      if (!entry) {
+        return { id: hashId(sender), name: sender, color: null };
+      }
+      return { id: entry.id, name: entry.name || sender, color: entry.color || null };
+    }
+  };
+}
+
+/**
+ * Load and merge alias files
+ * Later files override earlier ones by participant ID (name and color replaced,
+ * aliases combined), so pass the global file first and the per-chat file last.
+ * @param {Array<string|{path: string, required: boolean}>} files
+ */
+export async function loadAliasMap(files) {
+  const participants = new Map();
+
+  for (const file of files) {
+    const { path, required = false } = typeof file === 'string' ? { path: file } : file;
+
+    for (const entry of await readAliasFile(path, required)) {
+      const existing = participants.get(entry.id);
+      participants.set(entry.id, {
+        id: entry.id,
+        name: entry.name || existing?.name,
+        color: entry.color || existing?.color,
+        aliases: [...(existing?.aliases || []), ...entry.aliases]
+      });
+    }
+  }
+
+  return createAliasMap(Array.from(participants.values()));
+}
+
+/**
+ * Apply an alias map to a message
+ * Sets the canonical sender name, its stable senderId, the configured
+ * senderColor and, when renamed, the originalSender as written in the export.
+ * Names in group events are mapped too (keeping originalActor/originalTargets).
+ */
+export function applyAliases(message, aliasMap) {
+  if (message.type === 'system') {
+    if (!message.event) {
+      return message;
+    }
+
+    const event = { ...message.event };
+    if (event.actor) {
+      const actor = aliasMap.resolve(event.actor).name;
+      if (actor !== event.actor) {
+        event.originalActor = event.actor;
+        event.actor = actor;
+      }
+    }
+    if (event.targets) {
+      const targets = event.targets.map(target => aliasMap.resolve(target).name);
+      if (targets.some((target, index) => target !== event.targets[index])) {
+        event.originalTargets = event.targets;
+        event.targets = targets;
+      }
+    }
+    return { ...message, event };
+  }
+
+  const { id, timestamp, sender, ...rest } = message;
+  const participant = aliasMap.resolve(sender);
+
+  return {
+    id,
+    timestamp,
+    sender: participant.name,
+    senderId: participant.id,
+    ...(participant.color && { senderColor: participant.color }),
+    ...(participant.name !== sender && { originalSender: sender }),
+    ...rest
+  };
+}
+
+/**
+ * Apply an alias map to a stream of messages
+ */
+export async function* withAliases(messages, aliasMap) {
+  for await (const message of messages) {
+    yield applyAliases(message, aliasMap);
+  }
+}
+
+/**
+ * Undo applyAliases, restoring the sender as written in the export
+ * Used to re-apply the current alias files to previously archived messages.
+ */
+export function removeAliases(message) {
+  if (message.type === 'system') {
+    if (!message.event) {
+      return message;
+    }
+
+    const { originalActor, originalTargets, ...event } = message.event;
+    if (originalActor) event.actor = originalActor;
+    if (originalTargets) event.targets = originalTargets;
+    return { ...message, event };
+  }
+
+  const { senderId, senderColor, originalSender, ...rest } = message;
+  return originalSender ? { ...rest, sender: originalSender } : rest;
+}
@@ -0,0 +1,212 @@
+import { readdir, copyFile, stat } from 'fs/promises';
+import { createReadStream } from 'fs';
+import { join, basename, dirname, extname, resolve } from 'path';
+import { openZip } from './zipReader.js';
+
+/**
+ * Chat export sources
+ * An export is either an extracted "WhatsApp Chat - X" folder, the
+ * "WhatsApp Chat - X.zip" archive produced by WhatsApp's "Export chat", or
+ * a single _chat.txt file (with any media next to it).
+ * All are read through the same interface:
+ *   {
+ *     type: 'directory' | 'zip' | 'file',
+ *     path, name,               // source path and chat name
+ *     chatFileName,             // "_chat.txt" (or "WhatsApp Chat with X.txt" on Android)
+ *     listFiles(),              // names of all files in the export
+ *     openChatStream(),         // readable stream of the chat text
+ *     openFileStream(name),     // readable stream of any file
+ *     copyFileTo(name, dest),   // copy/extract a file to disk
+ *     getFileSize(name),        // size in bytes (uncompressed inside a .zip)
+ *     getFileFingerprint(name), // string that changes when the file changes (size + mtime or CRC)
+ *     getFilePath(name)         // absolute path on disk, null inside a .zip
+ *   }
+ */
+
+const CHAT_FILE_NAME = '_chat.txt';
+
+/**
+ * Check whether a directory entry looks like a WhatsApp export
+ */
+export function isChatExport(entry) {
+  if (!entry.name.startsWith('WhatsApp Chat')) {
+    return false;
+  }
+  return entry.isDirectory() || (entry.isFile() && extname(entry.name).toLowerCase() === '.zip');
+}
+
+/**
+ * Derive the chat name from an export folder, archive or chat file name
+ * "WhatsApp Chat - Family.zip" → "Family", "WhatsApp Chat with Bob.txt" → "Bob",
+ * ".../WhatsApp Chat - Family/_chat.txt" → "Family"
+ */
+export function getChatName(sourcePath) {
+  let name = basename(sourcePath);
+  if (name === CHAT_FILE_NAME) {
+    name = basename(dirname(sourcePath));
+  }
+  if (['.zip', '.txt'].includes(extname(name).toLowerCase())) {
+    name = name.slice(0, -4);
+  }
+  return name.replace(/^WhatsApp Chat (?:- |with )/, '');
+}
+
+/**
+ * Find all WhatsApp chat exports (extracted folders and .zip archives) in a folder
+ * When a chat exists both as a folder and as a .zip, the folder wins.
+ */
+export async function findChatExports(baseDir) {
+  const entries = await readdir(baseDir, { withFileTypes: true });
+  const exports = entries.filter(isChatExport);
+
+  const folderNames = new Set(
+    exports.filter(entry => entry.isDirectory()).map(entry => getChatName(entry.name))
+  );
+
+  return exports
+    .filter(entry => entry.isDirectory() || !folderNames.has(getChatName(entry.name)))
+    .map(entry => join(baseDir, entry.name));
+}
+
+/**
+ * Check whether a folder holds an extracted export (contains a chat file)
+ */
+export async function isExportFolder(dirPath) {
+  const entries = await readdir(dirPath, { withFileTypes: true });
+  const fileNames = entries.filter(entry => entry.isFile()).map(entry => entry.name);
+  return fileNames.includes(CHAT_FILE_NAME) ||
+    fileNames.some(name => name.startsWith('WhatsApp Chat') && extname(name).toLowerCase() === '.txt');
+}
+
+/**
+ * Pick the chat text file among the export's files
+ * iOS exports use "_chat.txt", Android archives "WhatsApp Chat with X.txt"
+ */
+function findChatFileName(fileNames) {
+  if (fileNames.includes(CHAT_FILE_NAME)) {
+    return CHAT_FILE_NAME;
+  }
+
+  const androidChatFile = fileNames.find(name => name.startsWith('WhatsApp Chat') && extname(name).toLowerCase() === '.txt');
+  if (androidChatFile) {
+    return androidChatFile;
+  }
+
+  throw new Error(`No ${CHAT_FILE_NAME} found in export`);
+}
+
+/**
+ * File access shared by folder and single chat file sources
+ */
+function createFolderFileAccess(dirPath) {
+  return {
+    openFileStream: async name => createReadStream(join(dirPath, name)),
+    copyFileTo: (name, destPath) => copyFile(join(dirPath, name), destPath),
+    getFileSize: async name => (await stat(join(dirPath, name))).size,
+    getFileFingerprint: async name => {
+      const info = await stat(join(dirPath, name));
+      return `${info.size}:${Math.trunc(info.mtimeMs)}`;
+    },
+    getFilePath: name => resolve(dirPath, name)
+  };
+}
+
+/**
+ * Open an extracted export folder
+ */
+async function openDirectorySource(dirPath) {
+  const entries = await readdir(dirPath, { withFileTypes: true });
+  const fileNames = entries.filter(entry => entry.isFile()).map(entry => entry.name);
+  const chatFileName = findChatFileName(fileNames);
+
+  return {
+    type: 'directory',
+    path: dirPath,
+    name: getChatName(dirPath),
+    chatFileName,
+    listFiles: async () => fileNames,
+    openChatStream: async () => createReadStream(join(dirPath, chatFileName)),
+    ...createFolderFileAccess(dirPath)
+  };
+}
+
+/**
+ * Open a single chat text file
+ * Media files are looked up in the same folder.
+ */
+async function openChatFileSource(filePath) {
+  const dirPath = dirname(filePath);
+  const chatFileName = basename(filePath);
+  const entries = await readdir(dirPath, { withFileTypes: true });
+  const fileNames = entries.filter(entry => entry.isFile()).map(entry => entry.name);
+
+  return {
+    type: 'file',
+    path: filePath,
+    name: getChatName(filePath),
+    chatFileName,
+    listFiles: async () => fileNames,
+    openChatStream: async () => createReadStream(filePath),
+    ...createFolderFileAccess(dirPath)
+  };
+}
+
+/**
+ * Open a .zip export, reading files straight from the archive
+ * Files are addressed by their base name - WhatsApp archives are flat,
+ * folders (e.g. __MACOSX/) added by re-zipping are ignored.
+ */
+async function openZipSource(zipPath) {
+  const zip = await openZip(zipPath);
+  const entriesByName = new Map();
+
+  for (const entry of zip.entries) {
+    if (entry.name.includes('/') || entry.name.includes('\\')) continue;
+    entriesByName.set(entry.name, entry);
+  }
+
+  const fileNames = Array.from(entriesByName.keys());
+  const chatFileName = findChatFileName(fileNames);
+
+  function getEntry(name) {
+    const entry = entriesByName.get(name);
+    if (!entry) {
+      throw new Error(`${name} not found in ${basename(zipPath)}`);
+    }
+    return entry;
+  }
+
+  return {
+    type: 'zip',
+    path: zipPath,
+    name: getChatName(zipPath),
+    chatFileName,
+    listFiles: async () => fileNames,
+    openChatStream: () => zip.openEntryStream(getEntry(chatFileName)),
+    openFileStream: name => zip.openEntryStream(getEntry(name)),
+    copyFileTo: (name, destPath) => zip.extractEntry(getEntry(name), destPath),
+    getFileSize: async name => getEntry(name).size,
+    getFileFingerprint: async name => {
+      const entry = getEntry(name);
+      return `${entry.size}:crc${entry.crc32.toString(16)}`;
+    },
+    getFilePath: () => null
+  };
+}
+
+/**
+ * Open an export folder, .zip archive or chat text file
+ */
+export async function openChatSource(sourcePath) {
+  const info = await stat(sourcePath);
+  if (info.isDirectory()) {
+    return openDirectorySource(sourcePath);
+  }
+  if (extname(sourcePath).toLowerCase() === '.zip') {
+    return openZipSource(sourcePath);
+  }
+  if (extname(sourcePath).toLowerCase() === '.txt') {
+    return openChatFileSource(sourcePath);
+  }
+  throw new Error(`Unsupported export: ${basename(sourcePath)} (expected a folder, .zip or _chat.txt)`);
+}
@@ -0,0 +1,834 @@
+#!/usr/bin/env node
+
+import { mkdir, stat } from 'fs/promises';
+import { join, resolve, basename, dirname } from 'path';
+import { parseArgs } from 'util';
+import { availableParallelism } from 'os';
+import { exportChat, checkOutputFormats, DATE_FORMATS, OUTPUT_FORMATS } from './index.js';
+import { MEDIA_MODES } from './mediaHandler.js';
+import { MEDIA_TYPES } from './mediaTypes.js';
+import { isExportFolder, findChatExports, getChatName } from './chatSource.js';
+import { getLocale } from './locales/index.js';
+import { resolveTimeZone } from './timezone.js';
+import { watchExports } from './watcher.js';
+import { mapConcurrent } from './concurrency.js';
+
+/**
+ * Print the parse report: counts per problem and warning, with the first few of each
+ */
+function printReportSummary(report, log) {
+  if (report.summary.problems === 0) {
+    log.log('✓ No parse problems');
+  } else {
+    log.warn(`Warning: ${report.summary.problems} parse problems (details in parse-report.json)`);
+  }
+
+  const sections = [
+    ['orphan lines before the first message (dropped)', report.orphanLines, item => `line ${item.line}: ${item.text}`],
+    ['unrecognized lines (kept in the previous message)', report.unrecognizedLines, item => `line ${item.line}: ${item.text}`],
+    ['suspected format mismatches', report.formatMismatches, item => `line ${item.line} (${item.reason}): ${item.text}`],
+    ['media references not found', report.missingMedia, item => `${item.filename} (in ${item.messageId})`],
+    ['media files not referenced by any message', report.unreferencedMedia, file => file]
+  ];
+
+  for (const [label, items, format] of sections) {
+    if (items.length === 0) continue;
+    log.warn(`  ${items.length} ${label}`);
+    items.slice(0, 5).forEach(item => log.warn(`    - ${format(item)}`));
+  }
+}
+
+/**
+ * Print library progress events the way the command line shows them
+ */
+function createProgressPrinter(log) {
+  return event => {
+    switch (event.type) {
+      case 'format':
+        log.log(`✓ Date format: ${event.dateFormat}, language: ${event.locale}, timezone: ${event.timezone}`);
+        break;
+      case 'aliases':
+        if (event.count > 0) {
+          log.log(`✓ Loaded ${event.count} participant aliases`);
+        }
+        break;
+      case 'merge':
+        log.log(`✓ Merged into ${event.archived} archived messages: ${event.added} added, ${event.present} already present`);
+        break;
+      case 'messages':
+        log.log(`✓ Parsed ${event.count} messages`);
+        break;
+      case 'metadata':
+        log.log(`✓ Found ${event.participants.length} participants`);
+        log.log(`✓ Date range: ${event.dateRange.start} to ${event.dateRange.end}`);
+        break;
+      case 'media':
+        log.log(`✓ Found ${event.found} media files`);
+        break;
+      case 'report':
+        printReportSummary(event.report, log);
+        break;
+      case 'copied': {
+        if (event.encrypted !== undefined) {
+          const counts = [
+            `${event.encrypted} encrypted`,
+            event.excluded > 0 && `${event.excluded} left out`,
+            event.removed > 0 && `${event.removed} unencrypted copies removed`
+          ].filter(Boolean);
+          log.log(`✓ Media in ${event.dir}: ${counts.join(', ')}`);
+          break;
+        }
+        const counts = [
+          `${event.copied} copied`,
+          event.linked > 0 && `${event.linked} linked`,
+          `${event.skipped} unchanged`,
+          event.duplicates > 0 && `${event.duplicates} duplicates stored once`,
+          event.excluded > 0 && `${event.excluded} left out`,
+          event.removed > 0 && `${event.removed} removed`
+        ].filter(Boolean);
+        log.log(`✓ Media in ${event.dir}: ${counts.join(', ')}`);
+        break;
+      }
+      case 'file':
+        log.log(`✓ Wrote ${basename(event.path)}${event.pages ? ` (index of ${event.pages} ${event.pages === 1 ? 'page' : 'pages'})` : ''}`);
+        break;
+    }
+  };
+}
+
+/**
+ * Live status line on a terminal: finished chats, then each running chat
+ * with its phase (parse, media, html) and the media file count
+ * Written to stderr, so it never ends up in redirected output.
+ */
+function createStatusLine(chatCount) {
+  const stream = process.stderr;
+  const running = new Map();
+  let finished = 0;
+  let lastRender = 0;
+
+  function clear() {
+    stream.write('\r\x1b[2K');
+  }
+
+  function render(force = false) {
+    const now = Date.now();
+    if (!force && now - lastRender < 100) return;
+    lastRender = now;
+
+    const chats = Array.from(running.values(), ({ chatName, phase, done, total }) =>
+      total ? `${chatName}: ${phase} ${done}/${total}` : `${chatName}: ${phase}`
+    );
+    const line = `[${finished}/${chatCount}] ${chats.join(' · ')}`;
+    clear();
+    stream.write(line.slice(0, (stream.columns || 80) - 1));
+  }
+
+  return {
+    // Library progress event for a chat
+    update(sourcePath, event) {
+      if (event.type === 'phase') {
+        running.set(sourcePath, { chatName: event.chatName, phase: event.phase });
+        render(true);
+      } else if (event.type === 'copying' && running.has(sourcePath)) {
+        Object.assign(running.get(sourcePath), { done: event.done, total: event.total });
+        render();
+      }
+    },
+
+    finish(sourcePath) {
+      running.delete(sourcePath);
+      finished++;
+      render(true);
+    },
+
+    // Logger that prints above the status line
+    wrap(logger) {
+      const print = method => (...args) => {
+        clear();
+        logger[method](...args);
+        render(true);
+      };
+      return { log: print('log'), warn: print('warn'), error: print('error') };
+    },
+
+    clear
+  };
+}
+
+/**
+ * Logger that keeps lines until flush(), so chats processed at the same
+ * time print their output in one piece
+ */
+function createBufferedLogger() {
+  const lines = [];
+  const keep = method => (...args) => lines.push([method, args]);
+  return {
+    log: keep('log'),
+    warn: keep('warn'),
+    error: keep('error'),
+    flush(logger) {
+      lines.forEach(([method, args]) => logger[method](...args));
+      lines.length = 0;
+    }
+  };
+}
+
+/**
+ * Process a single chat export (folder, .zip or _chat.txt)
+ * Runs exportChat, printing its progress, and turns failures into a result.
+ * @param {Object} options - exportChat options, plus:
+ * @param {Object} [options.logger] - console-like object receiving progress (default: console)
+ * @param {Function} [options.onProgress] - Also receives the library's progress events
+ */
+async function processChat(sourcePath, outputBaseDir, options = {}) {
+  const { logger: log = console, onProgress, ...exportOptions } = options;
+  const printProgress = createProgressPrinter(log);
+  const chatName = getChatName(sourcePath);
+  log.log(`\nProcessing: ${basename(sourcePath)}`);
+  log.log('='.repeat(60));
+
+  try {
+    const result = await exportChat(sourcePath, {
+      ...exportOptions,
+      outputDir: outputBaseDir,
+      onProgress: event => {
+        printProgress(event);
+        if (onProgress) onProgress(event);
+      }
+    });
+
+    if (options.dryRun) {
+      log.log(`\n✓ Checked "${chatName}" (dry run, nothing written)`);
+    } else {
+      log.log(`\n✓ Successfully processed "${chatName}"`);
+      log.log(`  Output: ${result.outputDir}`);
+      log.log(`  Open: ${OUTPUT_FORMATS.map(format => result.files[format]).find(Boolean)}`);
+    }
+
+    return { success: true, ...result };
+
+  } catch (error) {
+    log.error(`✗ Error processing ${chatName}:`, error.message);
+    return {
+      success: false,
+      chatName,
+      sourcePath,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Command-line interface
+ */
+
+const DEFAULT_JOBS = Math.min(4, availableParallelism());
+const PASSPHRASE_ENV = 'CHAT_PASSPHRASE';
+
+const USAGE = `Usage: npm run parse -- [command] [paths...] [options]
+
+Commands:
+  parse                  Parse chat exports and build the HTML viewer (default)
+  list                   List the chat exports that would be processed
+  stats                  Print message, participant and media counts (writes nothing)
+
+Paths can be export folders, .zip archives, single _chat.txt files or folders
+containing exports. Default: the folder above parser/.
+
+Options:
+  --out <dir>            Output directory (default: ./output)
+  --format <formats>     Outputs, comma-separated: ${OUTPUT_FORMATS.join(', ')} (default: html)
+  --csv-bom              Start chat.csv with a UTF-8 byte order mark (for Excel)
+  --pages <month|n>      Split the viewer into one page per month or per <n> messages
+  --chat <name>          Only chats whose name contains <name>, case-insensitive (repeatable)
+  --dry-run              Parse and report without writing anything
+  --quiet                Only print errors
+  --json                 Print the result as JSON (implies --quiet)
+  --date-format <order>  Date order: auto, ${DATE_FORMATS.join(', ')} (default: auto)
+  --locale <code>        Export language or auto (default: auto)
+  --timezone <zone>      Timezone the export was made in (default: this computer's)
+  --aliases <file>       Participant alias file
+  --merge                Merge into the existing messages.json instead of replacing it
+  --media-mode <mode>    How media gets into the output: ${MEDIA_MODES.join(', ')} (default: copy)
+  --only-media <types>   Only copy these media types, comma-separated: ${MEDIA_TYPES.join(', ')}
+  --skip-media <types>   Don't copy these media types
+  --max-size <size>      Don't copy media files larger than this (e.g. 500KB, 5MB)
+  --media-budget <size>  Stop copying media once this much is used, in chat order (e.g. 50MB)
+  --jobs <n>             Chats processed at once (default: ${DEFAULT_JOBS})
+  --encrypt              Encrypt chat.html with a passphrase (from ${PASSPHRASE_ENV} or a prompt);
+                         no plaintext JSON is written
+  --encrypt-media        With --encrypt, also encrypt the media files
+  --strict               Fail a chat when its parse report lists any problem
+                         (unreferenced media files are only a warning)
+  --watch                After parsing, rebuild each chat whenever its export changes
+  -h, --help             Show this help
+
+Exit codes: 0 success, 1 a chat failed, 2 invalid usage, 3 no chats found`;
+
+const COMMANDS = ['parse', 'list', 'stats'];
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_NO_CHATS = 3;
+
+/**
+ * Error in the command line itself (exit code 2)
+ */
+class UsageError extends Error {}
+
+const quietLogger = {
+  log() {},
+  warn() {},
+  error: (...args) => console.error(...args)
+};
+
+/**
+ * Turn the command-line paths into chat export paths
+ * Folders that contain a chat file are exports themselves, other folders are searched.
+ */
+async function resolveChatExports(inputPaths) {
+  const exports = [];
+
+  for (const inputPath of inputPaths) {
+    let info;
+    try {
+      info = await stat(inputPath);
+    } catch {
+      throw new UsageError(`No such file or folder: ${inputPath}`);
+    }
+
+    if (info.isFile()) {
+      if (!/\.(zip|txt)$/i.test(inputPath)) {
+        throw new UsageError(`Not a chat export: ${inputPath} (expected a folder, .zip or _chat.txt)`);
+      }
+      exports.push(inputPath);
+    } else if (await isExportFolder(inputPath)) {
+      exports.push(inputPath);
+    } else {
+      exports.push(...await findChatExports(inputPath));
+    }
+  }
+
+  return [...new Set(exports)];
+}
+
+/**
+ * Keep only chats whose name contains one of the --chat values
+ */
+function selectChats(chatExports, names) {
+  if (!names || names.length === 0) {
+    return chatExports;
+  }
+  const wanted = names.map(name => name.toLowerCase());
+  return chatExports.filter(sourcePath => {
+    const chatName = getChatName(sourcePath).toLowerCase();
+    return wanted.some(name => chatName.includes(name));
+  });
+}
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+/**
+ * Parse a size such as "500KB", "1.5 GB" or "2048" (bytes)
+ */
+function parseSize(value, flag) {
+  const match = /^(\d+(?:\.\d+)?)\s*([KMG]?B)?$/i.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid size for --${flag}: "${value}" (e.g. 500KB, 5MB, 1GB)`);
+  }
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]);
+}
+
+/**
+ * Parse a comma-separated list of media types
+ */
+function parseMediaTypes(value, flag) {
+  const types = value.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+  const unknown = types.find(type => !MEDIA_TYPES.includes(type));
+  if (unknown) {
+    throw new Error(`Unknown media type "${unknown}" for --${flag} (expected ${MEDIA_TYPES.join(', ')})`);
+  }
+  return types;
+}
+
+/**
+ * Parse a comma-separated list of output formats
+ */
+function parseFormats(value) {
+  const formats = [...new Set(value.split(',').map(format => format.trim().toLowerCase()).filter(Boolean))];
+  const unknown = formats.find(format => !OUTPUT_FORMATS.includes(format));
+  if (unknown) {
+    throw new Error(`Unknown output format "${unknown}" for --format (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  if (formats.length === 0) {
+    throw new Error('--format needs at least one output format');
+  }
+  return formats;
+}
+
+/**
+ * Read a line from the terminal without echoing it
+ */
+function promptHidden(question) {
+  const stdin = process.stdin;
+  process.stderr.write(question);
+  stdin.setRawMode(true);
+  stdin.setEncoding('utf-8');
+  stdin.resume();
+
+  return new Promise((resolve, reject) => {
+    let value = '';
+
+    function done() {
+      stdin.off('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      process.stderr.write('\n');
+    }
+
+    function onData(chars) {
+      for (const char of chars) {
+        if (char === '\r' || char === '\n') {
+          done();
+          resolve(value);
+          return;
+        }
+        if (char === '\u0003') {
+          done();
+          reject(new UsageError('Cancelled'));
+          return;
+        }
+        value = char === '\u007f' || char === '\b' ? value.slice(0, -1) : value + char;
+      }
+    }
+
+    stdin.on('data', onData);
+  });
+}
+
+/**
+ * Passphrase for --encrypt: the environment variable, or asked twice on a terminal
+ */
+async function getPassphrase() {
+  if (process.env[PASSPHRASE_ENV]) {
+    return process.env[PASSPHRASE_ENV];
+  }
+  if (!process.stdin.isTTY) {
+    throw new UsageError(`--encrypt needs a passphrase: set ${PASSPHRASE_ENV} or run in a terminal`);
+  }
+
+  const passphrase = await promptHidden('Passphrase: ');
+  if (!passphrase) {
+    throw new UsageError('The passphrase cannot be empty');
+  }
+  if (await promptHidden('Repeat passphrase: ') !== passphrase) {
+    throw new UsageError('The passphrases do not match');
+  }
+  return passphrase;
+}
+
+/**
+ * Parse and validate the command line
+ */
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'out': { type: 'string' },
+        'format': { type: 'string', default: 'html' },
+        'csv-bom': { type: 'boolean', default: false },
+        'pages': { type: 'string' },
+        'chat': { type: 'string', multiple: true },
+        'dry-run': { type: 'boolean', default: false },
+        'quiet': { type: 'boolean', default: false },
+        'json': { type: 'boolean', default: false },
+        'date-format': { type: 'string', default: 'auto' },
+        'locale': { type: 'string', default: 'auto' },
+        'timezone': { type: 'string' },
+        'aliases': { type: 'string' },
+        'merge': { type: 'boolean', default: false },
+        'media-mode': { type: 'string', default: 'copy' },
+        'only-media': { type: 'string' },
+        'skip-media': { type: 'string' },
+        'max-size': { type: 'string' },
+        'media-budget': { type: 'string' },
+        'jobs': { type: 'string', default: String(DEFAULT_JOBS) },
+        'encrypt': { type: 'boolean', default: false },
+        'encrypt-media': { type: 'boolean', default: false },
+        'strict': { type: 'boolean', default: false },
+        'watch': { type: 'boolean', default: false },
+        'help': { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values: args, positionals } = parsed;
+  const command = COMMANDS.includes(positionals[0]) ? positionals.shift() : 'parse';
+  if (args.watch && (command !== 'parse' || args['dry-run'])) {
+    throw new UsageError('--watch only works with parse (without --dry-run)');
+  }
+  if (args['encrypt-media'] && !args.encrypt) {
+    throw new UsageError('--encrypt-media needs --encrypt');
+  }
+  if (args.encrypt && args.merge) {
+    throw new UsageError('--merge reads messages.json, which --encrypt does not write');
+  }
+  if (args.encrypt && args.pages !== undefined) {
+    throw new UsageError('--pages cannot be combined with --encrypt');
+  }
+
+  // Fail before touching any chat when an override is invalid
+  let media;
+  let formats;
+  let paginate;
+  try {
+    formats = parseFormats(args.format);
+    if (args.encrypt && formats.some(format => format !== 'html')) {
+      throw new Error('--encrypt only writes html (the other outputs would be plaintext)');
+    }
+    if (args['date-format'] !== 'auto' && !DATE_FORMATS.includes(args['date-format'])) {
+      throw new Error(`Unknown date format "${args['date-format']}" (expected auto, ${DATE_FORMATS.join(', ')})`);
+    }
+    if (args.locale !== 'auto') {
+      getLocale(args.locale);
+    }
+    if (!MEDIA_MODES.includes(args['media-mode'])) {
+      throw new Error(`Unknown media mode "${args['media-mode']}" (expected ${MEDIA_MODES.join(', ')})`);
+    }
+    resolveTimeZone(args.timezone);
+    if (!/^[1-9]\d*$/.test(args.jobs)) {
+      throw new Error(`Invalid --jobs "${args.jobs}" (expected a number of chats, 1 or more)`);
+    }
+
+    if (args.pages !== undefined) {
+      if (args.pages !== 'month' && !/^[1-9]\d*$/.test(args.pages)) {
+        throw new Error(`Invalid --pages "${args.pages}" (expected month or a number of messages per page)`);
+      }
+      paginate = args.pages === 'month' ? 'month' : Number(args.pages);
+    }
+
+    // Media selection, as exportChat options
+    const parseFlag = (flag, parse) => (args[flag] === undefined ? undefined : parse(args[flag], flag));
+    media = {
+      includeMedia: parseFlag('only-media', parseMediaTypes),
+      excludeMedia: parseFlag('skip-media', parseMediaTypes),
+      maxMediaSize: parseFlag('max-size', parseSize),
+      mediaBudget: parseFlag('media-budget', parseSize)
+    };
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  return { command, paths: positionals, args, formats, paginate, media };
+}
+
+/**
+ * Shape a processChat result for --json output
+ * The full metadata and parse report are left out (they are in the output
+ * folder), only the report summary is kept; stats also lists the participants.
+ */
+function toJsonResult({ metadata, missingMedia, report, ...result }, withParticipants = false) {
+  return {
+    ...result,
+    ...(report && { problems: report.summary }),
+    ...(withParticipants && metadata && { participants: metadata.participantDetails })
+  };
+}
+
+/**
+ * Print the summary of a parse or stats run
+ */
+function printSummary(command, results, outputBaseDir, dryRun) {
+  console.log('\n' + '='.repeat(60));
+  console.log(command === 'stats' ? 'STATS' : 'SUMMARY');
+  console.log('='.repeat(60));
+
+  const successful = results.filter(r => r.success);
+  const failed = results.filter(r => !r.success);
+
+  if (command === 'stats') {
+    successful.forEach(r => {
+      console.log(`\n${r.chatName}`);
+      console.log(`  Messages:     ${r.stats.messages} (${r.stats.dateRange.start} to ${r.stats.dateRange.end})`);
+      console.log(`  Participants: ${r.stats.participants}`);
+      [...r.metadata.participantDetails]
+        .sort((a, b) => b.messageCount - a.messageCount)
+        .forEach(p => {
+          const voiceNotes = p.voiceNoteMinutes ? `  (${p.voiceNoteMinutes} min of voice notes)` : '';
+          console.log(`    ${p.name.padEnd(24)} ${p.messageCount}${voiceNotes}`);
+        });
+      console.log(`  Media files:  ${r.stats.media} (${r.stats.missingMedia} referenced but missing)`);
+    });
+  } else {
+    console.log(`\n✓ Successfully processed: ${successful.length}/${results.length} chats`);
+
+    successful.forEach(r => {
+      const merge = r.stats.merge
+        ? ` (${r.stats.merge.added} added, ${r.stats.merge.present} already present)`
+        : '';
+      console.log(`  - ${r.chatName}: ${r.stats.messages} messages, ${r.stats.media} media files${merge}`);
+    });
+  }
+
+  if (failed.length > 0) {
+    console.log(`\n✗ Failed: ${failed.length} chats`);
+    failed.forEach(r => {
+      console.log(`  - ${r.chatName}: ${r.error}`);
+    });
+  }
+
+  if (command === 'stats') {
+    return;
+  }
+
+  if (dryRun) {
+    console.log('\nDry run: nothing was written');
+    return;
+  }
+
+  console.log(`\nOutput saved to: ${outputBaseDir}`);
+  if (!successful.some(r => r.files.html)) {
+    return;
+  }
+  console.log('\nTo view your chats:');
+  console.log('  1. Open the chat.html file in any browser');
+  console.log('  2. Or copy the folder to your phone and open chat.html there');
+}
+
+/**
+ * Watch the inputs and rebuild a chat whenever its export changes
+ * Rebuilds run one at a time; a chat that changes again while it is being
+ * rebuilt is rebuilt once more afterwards. Runs until interrupted (Ctrl+C).
+ */
+async function watchChats(inputPaths, outputBaseDir, args, processOptions) {
+  // Folders that hold exports are watched for new exports, export folders for their files
+  const containers = [];
+  const exportFolders = [];
+  for (const inputPath of inputPaths) {
+    const info = await stat(inputPath);
+    if (info.isFile()) {
+      containers.push(dirname(inputPath));
+    } else if (await isExportFolder(inputPath)) {
+      exportFolders.push(inputPath);
+    } else {
+      containers.push(inputPath);
+    }
+  }
+
+  const pending = new Set();
+  let running = false;
+
+  async function rebuildPending() {
+    if (running) return;
+    running = true;
+
+    while (pending.size > 0) {
+      const [sourcePath] = pending;
+      pending.delete(sourcePath);
+
+      const startTime = Date.now();
+      const result = await processChat(sourcePath, outputBaseDir, { ...processOptions, logger: quietLogger });
+      const seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+
+      if (args.json) {
+        console.log(JSON.stringify({ ...toJsonResult(result), seconds: Number(seconds) }));
+      } else if (result.success && !args.quiet) {
+        const merge = result.stats.merge ? `, ${result.stats.merge.added} added` : '';
+        console.log(`${new Date().toLocaleTimeString()} ✓ ${result.chatName}: ${result.stats.messages} messages, ${result.stats.media} media files${merge} (${seconds}s)`);
+      }
+      // Failures are already reported by processChat
+    }
+
+    running = false;
+  }
+
+  async function onChange(changedPath) {
+    // Only rebuild what a full run would process (folder beats .zip, --chat selection)
+    const chatExports = selectChats(await resolveChatExports(inputPaths), args.chat);
+    if (!chatExports.includes(changedPath)) return;
+
+    pending.add(changedPath);
+    await rebuildPending();
+  }
+
+  const watcher = await watchExports({ containers, exports: exportFolders }, changedPath => {
+    onChange(changedPath).catch(error => console.error('✗ Watch error:', error.message));
+  });
+
+  if (!args.quiet && !args.json) {
+    console.log('\nWatching for changes (Ctrl+C to stop)...');
+  }
+
+  process.once('SIGINT', () => {
+    watcher.close();
+    if (!args.quiet && !args.json) {
+      console.log('\nStopped watching');
+    }
+  });
+}
+
+/**
+ * Main function
+ * @returns {Promise<number>} process exit code
+ */
+async function main(argv) {
+  let commandLine;
+  try {
+    commandLine = parseCommandLine(argv);
+    // Fail before any chat is written when an output can't be produced here
+    await checkOutputFormats(commandLine.formats);
+  } catch (error) {
+    console.error(`Error: ${error.message}\n`);
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const { command, args, formats, paginate, media } = commandLine;
+  if (args.help) {
+    console.log(USAGE);
+    return EXIT_SUCCESS;
+  }
+
+  const quiet = args.quiet || args.json;
+  const log = quiet ? quietLogger : console;
+
+  // Inputs default to the folder above parser/, output to ./output
+  const inputPaths = commandLine.paths.length > 0
+    ? commandLine.paths.map(inputPath => resolve(inputPath))
+    : [resolve(process.cwd(), '..')];
+  const outputBaseDir = resolve(args.out || join(process.cwd(), 'output'));
+
+  log.log('WhatsApp Chat Parser');
+  log.log('='.repeat(60));
+  log.log(`Input: ${inputPaths.join(', ')}`);
+  if (command === 'parse') {
+    log.log(`Output directory: ${outputBaseDir}\n`);
+  }
+
+  // Find chat exports
+  let chatExports;
+  try {
+    chatExports = selectChats(await resolveChatExports(inputPaths), args.chat);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`Error: ${error.message}`);
+    return EXIT_USAGE;
+  }
+
+  if (chatExports.length === 0) {
+    if (args.json) {
+      console.log(JSON.stringify({ command, chats: [] }, null, 2));
+    } else if (!quiet) {
+      console.log('No WhatsApp chat exports found!');
+      console.log('Expected format: "WhatsApp Chat - [GroupName]" directory');
+      console.log('with a _chat.txt file inside, or the "WhatsApp Chat - [GroupName].zip" archive.');
+    }
+    if (!args.watch) {
+      return EXIT_NO_CHATS;
+    }
+  }
+
+  if (command === 'list') {
+    const chats = chatExports.map(sourcePath => ({ chatName: getChatName(sourcePath), path: sourcePath }));
+    if (args.json) {
+      console.log(JSON.stringify({ command, chats }, null, 2));
+    } else {
+      chats.forEach(chat => console.log(args.quiet ? chat.path : `${chat.chatName}\t${chat.path}`));
+    }
+    return EXIT_SUCCESS;
+  }
+
+  log.log(`Found ${chatExports.length} chat(s) to process:\n`);
+  chatExports.forEach((sourcePath, i) => {
+    log.log(`${i + 1}. ${basename(sourcePath)}`);
+  });
+
+  if (command === 'parse' && !args['dry-run']) {
+    await mkdir(outputBaseDir, { recursive: true });
+  }
+
+  // Ask before any chat starts (the prompt and the status line share the terminal)
+  let passphrase;
+  if (args.encrypt && command === 'parse') {
+    try {
+      passphrase = await getPassphrase();
+    } catch (error) {
+      if (!(error instanceof UsageError)) throw error;
+      console.error(`Error: ${error.message}`);
+      return EXIT_USAGE;
+    }
+  }
+
+  // Process each chat
+  const processOptions = {
+    dateFormat: args['date-format'],
+    locale: args.locale,
+    timezone: args.timezone,
+    aliasesFile: args.aliases && { path: resolve(args.aliases), required: true },
+    merge: args.merge,
+    mediaMode: args['media-mode'],
+    formats,
+    csvBom: args['csv-bom'],
+    paginate,
+    ...media,
+    passphrase,
+    encryptMedia: args['encrypt-media'],
+    strict: args.strict,
+    dryRun: command === 'stats' || args['dry-run'],
+    logger: command === 'stats' ? quietLogger : log
+  };
+  // Chats run side by side: each one's output is printed in one piece when it
+  // finishes, results (and the summary) keep the order of chatExports
+  const jobs = Number(args.jobs);
+  const statusLine = !quiet && process.stderr.isTTY ? createStatusLine(chatExports.length) : null;
+  const output = statusLine ? statusLine.wrap(processOptions.logger) : processOptions.logger;
+  const results = await mapConcurrent(chatExports, jobs, async sourcePath => {
+    const chatLog = jobs > 1 && processOptions.logger !== quietLogger ? createBufferedLogger() : output;
+    const result = await processChat(sourcePath, outputBaseDir, {
+      ...processOptions,
+      logger: chatLog,
+      onProgress: statusLine && (event => statusLine.update(sourcePath, event))
+    });
+    if (chatLog.flush) {
+      chatLog.flush(output);
+    }
+    if (statusLine) {
+      statusLine.finish(sourcePath);
+    }
+    return result;
+  });
+  if (statusLine) {
+    statusLine.clear();
+  }
+
+  if (args.json) {
+    const chats = results.map(result => toJsonResult(result, command === 'stats'));
+    console.log(JSON.stringify({ command, dryRun: command === 'stats' || args['dry-run'], outputDir: outputBaseDir, chats }, null, 2));
+  } else if (!args.quiet) {
+    printSummary(command, results, outputBaseDir, args['dry-run']);
+  }
+
+  // Keep running after the first build; the exit code covers that build
+  if (args.watch) {
+    await watchChats(inputPaths, outputBaseDir, args, processOptions);
+  }
+
+  return results.every(r => r.success) ? EXIT_SUCCESS : EXIT_FAILED;
+}
+
+// Run
+main(process.argv.slice(2))
+  .then(exitCode => {
+    process.exitCode = exitCode;
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(EXIT_FAILED);
+  });
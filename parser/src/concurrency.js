@@ -0,0 +1,28 @@
+/**
+ * Concurrency helpers
+ */
+
+/**
+ * Run async work over a list with at most `limit` calls in flight
+ * Results keep the order of the items, whatever order the work finishes in.
+ * The first failure rejects (calls already running are not cancelled).
+ * @param {Array} items
+ * @param {number} limit - Most calls running at once (at least 1)
+ * @param {Function} fn - Called as fn(item, index), returns a promise
+ * @returns {Promise<Array>}
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
@@ -0,0 +1,99 @@
+import { join } from 'path';
+import { openFileWriter } from './fileWriter.js';
+import { getLocalDateKey } from './timezone.js';
+import { getMessageText, describeSpecialMessage } from './messageFormat.js';
+
+/**
+ * Generate a CSV table (chat.csv) from parsed messages, one row per message
+ * Follows RFC 4180: CRLF between records, fields with commas, quotes or line
+ * breaks are quoted, quotes inside doubled. Multi-line messages stay in one field.
+ * Free-text cells (text, media file name) starting with =, +, -, @, tab or CR get
+ * a leading ' so spreadsheets show them as text instead of running them as
+ * formulas (chat text comes from anyone). Other columns are written as they are,
+ * so a sender like +49 151 … keeps its number.
+ */
+
+const COLUMNS = ['id', 'date', 'time', 'sender', 'type', 'media_filename', 'media_type', 'characters', 'words', 'text'];
+
+// Characters as people count them: an emoji or a Hindi syllable with its signs is one
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+const words = new Intl.Segmenter(undefined, { granularity: 'word' });
+
+function countCharacters(text) {
+  return Array.from(graphemes.segment(text)).length;
+}
+
+function countWords(text) {
+  let count = 0;
+  for (const segment of words.segment(text)) {
+    if (segment.isWordLike) count++;
+  }
+  return count;
+}
+
+// First characters that make Excel, LibreOffice and Google Sheets read a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a field when RFC 4180 requires it
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Free text a spreadsheet must not run as a formula
+ */
+function defuseFormula(text) {
+  return text && FORMULA_START.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Generate the CSV record of a message
+ * Deleted messages, calls, locations, polls and view once media get the text the
+ * transcripts show ("📍 Location: https://…"); the counts are of typed text only.
+ */
+function generateMessageRow(message) {
+  const typed = getMessageText(message);
+  const special = describeSpecialMessage(message);
+  const text = special.length > 0 ? special.join('\n') : typed;
+  const media = message.media || {};
+  return [
+    message.id,
+    getLocalDateKey(message.timestamp),
+    message.timestamp.slice(11, 19),
+    message.sender,
+    message.type,
+    defuseFormula(media.filename),
+    media.mediaType,
+    countCharacters(typed),
+    countWords(typed),
+    defuseFormula(text)
+  ].map(csvField).join(',') + '\r\n';
+}
+
+/**
+ * Write chat.csv to outputDir
+ * @param {Iterable|AsyncIterable} messages - Messages in chronological order
+ * @param {Object} metadata - Chat metadata (see parseExport)
+ * @param {string} outputDir
+ * @param {Object} [options]
+ * @param {boolean} [options.bom] - Start with a UTF-8 byte order mark, so Excel reads the file as UTF-8
+ * @returns {Promise<string>} Path of the written file
+ */
+export async function generateCsvFile(messages, metadata, outputDir, options = {}) {
+  const csvPath = join(outputDir, 'chat.csv');
+  const writer = openFileWriter(csvPath);
+
+  try {
+    await writer.write(`${options.bom ? '\uFEFF' : ''}${COLUMNS.join(',')}\r\n`);
+    for await (const msg of messages) {
+      await writer.write(generateMessageRow(msg));
+    }
+  } finally {
+    await writer.close();
+  }
+
+  return csvPath;
+}
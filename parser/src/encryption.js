@@ -0,0 +1,79 @@
+import { pbkdf2, randomBytes, createCipheriv, createHmac } from 'crypto';
+import { promisify } from 'util';
+
+/**
+ * Encrypted viewer output
+ * The passphrase is stretched with PBKDF2-SHA256 into two keys: one for
+ * AES-256-GCM, one for HMAC-SHA256 (opaque names for encrypted media files).
+ * chat.html repeats the same steps with WebCrypto in the browser, so the
+ * parameters below must match the viewer script in htmlGenerator.js.
+ *
+ * Encrypted data is base64 of: 12-byte IV, ciphertext, 16-byte GCM tag.
+ */
+
+const pbkdf2Async = promisify(pbkdf2);
+
+export const KDF_ITERATIONS = 600000;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+/**
+ * Derive the encryption keys for a passphrase (with a new random salt)
+ * @returns {Promise<{salt: Buffer, iterations: number, aesKey: Buffer, idKey: Buffer}>}
+ */
+export async function createEncryptionKeys(passphrase) {
+  if (!passphrase) {
+    throw new Error('Encryption needs a passphrase');
+  }
+  const salt = randomBytes(SALT_LENGTH);
+  const bits = await pbkdf2Async(passphrase.normalize('NFC'), salt, KDF_ITERATIONS, 64, 'sha256');
+  return { salt, iterations: KDF_ITERATIONS, aesKey: bits.subarray(0, 32), idKey: bits.subarray(32) };
+}
+
+/**
+ * Base64-encode a stream of buffers piece by piece
+ * Bytes that don't fill a 3-byte group wait for the next piece.
+ */
+function createBase64Encoder() {
+  let rest = Buffer.alloc(0);
+  return {
+    update(chunk) {
+      const bytes = Buffer.concat([rest, chunk]);
+      const usable = bytes.length - (bytes.length % 3);
+      rest = bytes.subarray(usable);
+      return bytes.subarray(0, usable).toString('base64');
+    },
+    final: () => rest.toString('base64')
+  };
+}
+
+/**
+ * Encrypt a stream of text or buffers to base64, one piece at a time
+ * @returns {{update(chunk): string, final(): string}}
+ */
+export function createEncryptor(keys) {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv('aes-256-gcm', keys.aesKey, iv);
+  const base64 = createBase64Encoder();
+  let prefix = iv;
+
+  return {
+    update(chunk) {
+      const encrypted = cipher.update(chunk);
+      const output = prefix ? Buffer.concat([prefix, encrypted]) : encrypted;
+      prefix = null;
+      return base64.update(output);
+    },
+    final() {
+      const encrypted = Buffer.concat([prefix || Buffer.alloc(0), cipher.final(), cipher.getAuthTag()]);
+      return base64.update(encrypted) + base64.final();
+    }
+  };
+}
+
+/**
+ * Opaque file id for an encrypted media file (media/<id>.js)
+ */
+export function getEncryptedMediaId(keys, filename) {
+  return createHmac('sha256', keys.idKey).update(filename).digest('hex').slice(0, 32);
+}
@@ -0,0 +1,330 @@
+import { join } from 'path';
+import { readFile, rm } from 'fs/promises';
+import { createHash } from 'crypto';
+import { openZipWriter } from './zipWriter.js';
+import { getLocalDateKey } from './timezone.js';
+import {
+  formatLongDate,
+  formatClockTime,
+  formatMonth,
+  formatMonthName,
+  getChatSummary,
+  getMessageText,
+  describeSpecialMessage,
+  getMediaLabel,
+  findUrls
+} from './messageFormat.js';
+
+/**
+ * Generate an EPUB 3 book (chat.epub) from parsed messages, for e-readers
+ * One chapter per month with a heading per day; the table of contents groups
+ * the months by year (toc.ncx lists them too, for older readers). Photos are
+ * embedded from outputDir/media; audio, video, documents and contacts are
+ * described in the text.
+ */
+
+const MIMETYPE = 'application/epub+zip';
+const XHTML_TYPE = 'application/xhtml+xml';
+
+// Image types every EPUB reader shows (others get a text placeholder)
+const EMBEDDED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Characters XML does not allow (control characters, unpaired surrogates)
+const INVALID_XML = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]|[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/g;
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+const STYLESHEET = `body { margin: 0 0.5em; }
+h1 { font-size: 1.6em; text-align: center; margin: 1em 0; }
+h2 { font-size: 1em; text-align: center; margin: 2em 0 1em; page-break-after: avoid; }
+p { margin: 0; text-indent: 0; }
+.message { margin: 0 0 0.8em; }
+.sender { font-weight: bold; }
+.time, .edited { font-size: 0.8em; color: #666; }
+.system { margin: 0 0 0.8em; text-align: center; font-size: 0.9em; font-style: italic; color: #555; }
+.media { font-style: italic; }
+.image { margin: 0.3em 0; text-align: center; page-break-inside: avoid; }
+.image img { max-width: 100%; max-height: 90vh; }
+.summary { text-align: center; font-size: 0.9em; }
+nav ol { list-style: none; padding-left: 1em; }
+`;
+
+/**
+ * Escape text for XHTML, dropping characters XML cannot hold
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(INVALID_XML, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text for XHTML with URLs as links
+ */
+function linkifyXml(text) {
+  let result = '';
+  let lastIndex = 0;
+  for (const { url, index } of findUrls(text)) {
+    const link = escapeXml(url);
+    result += `${escapeXml(text.slice(lastIndex, index))}<a href="${link}">${link}</a>`;
+    lastIndex = index + url.length;
+  }
+  return result + escapeXml(text.slice(lastIndex));
+}
+
+/**
+ * Wrap body markup in an XHTML content document
+ */
+function renderXhtml(title, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}</body>
+</html>
+`;
+}
+
+/**
+ * Identifier that stays the same when the chat is exported again, so readers
+ * replace the book instead of adding a copy
+ */
+function getBookId(metadata) {
+  const hash = createHash('sha1').update(`${metadata.chatName}\n${metadata.dateRange.start}`).digest('hex');
+  // Name-based UUID (version 5 layout)
+  return `urn:uuid:${hash.slice(0, 8)}-${hash.slice(8, 12)}-5${hash.slice(13, 16)}-${(8 | (parseInt(hash[16], 16) & 3)).toString(16)}${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+}
+
+/**
+ * Render the title page: chat name and summary
+ */
+function renderTitlePage(metadata) {
+  return renderXhtml(metadata.chatName, `<section epub:type="titlepage">
+<h1>${escapeXml(metadata.chatName)}</h1>
+<p class="summary">${escapeXml(getChatSummary(metadata))}</p>
+<p class="summary">${metadata.participants.map(escapeXml).join(' · ')}</p>
+</section>
+`);
+}
+
+/**
+ * Render the table of contents: the months grouped by year
+ */
+function renderNavPage(metadata, chapters) {
+  let list = '';
+  let year = null;
+  for (const chapter of chapters) {
+    const chapterYear = chapter.month.slice(0, 4);
+    if (chapterYear !== year) {
+      list += `${year ? '    </ol></li>\n' : ''}    <li><span>${chapterYear}</span><ol>\n`;
+      year = chapterYear;
+    }
+    list += `      <li><a href="${chapter.file}">${formatMonthName(chapter.month)}</a></li>\n`;
+  }
+  if (year) {
+    list += '    </ol></li>\n';
+  } else {
+    list = `    <li><a href="title.xhtml">${escapeXml(metadata.chatName)}</a></li>\n`;
+  }
+
+  return renderXhtml('Contents', `<nav epub:type="toc" id="toc">
+  <h1>Contents</h1>
+  <ol>
+${list}  </ol>
+</nav>
+`);
+}
+
+/**
+ * Render toc.ncx, the table of contents of EPUB 2 readers
+ */
+function renderNcx(metadata, bookId, chapters) {
+  const points = chapters.map((chapter, index) => `    <navPoint id="nav-${chapter.id}" playOrder="${index + 1}">
+      <navLabel><text>${formatMonth(chapter.month)}</text></navLabel>
+      <content src="${chapter.file}"/>
+    </navPoint>
+`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${bookId}"/>
+  </head>
+  <docTitle><text>${escapeXml(metadata.chatName)}</text></docTitle>
+  <navMap>
+${points}  </navMap>
+</ncx>
+`;
+}
+
+/**
+ * Render the package document: metadata, every file of the book and the reading order
+ */
+function renderPackage(metadata, bookId, chapters, images) {
+  const items = [
+    `<item id="title" href="title.xhtml" media-type="${XHTML_TYPE}"/>`,
+    `<item id="nav" href="nav.xhtml" media-type="${XHTML_TYPE}" properties="nav"/>`,
+    '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+    '<item id="style" href="style.css" media-type="text/css"/>',
+    ...chapters.map(chapter => `<item id="${chapter.id}" href="${chapter.file}" media-type="${XHTML_TYPE}"/>`),
+    ...images.map(image => `<item id="${image.id}" href="${escapeXml(image.href)}" media-type="${image.mimeType}"/>`)
+  ];
+  const spine = ['title', 'nav', ...chapters.map(chapter => chapter.id)];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${bookId}</dc:identifier>
+    <dc:title>${escapeXml(metadata.chatName)}</dc:title>
+    <dc:language>en</dc:language>
+    <dc:description>${escapeXml(getChatSummary(metadata))}</dc:description>
+    <meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</meta>
+  </metadata>
+  <manifest>
+${items.map(item => `    ${item}\n`).join('')}  </manifest>
+  <spine toc="ncx">
+${spine.map(id => `    <itemref idref="${id}"/>\n`).join('')}  </spine>
+</package>
+`;
+}
+
+/**
+ * Generate message markup: sender and time, then the attachment and the text
+ * @param {Object} message
+ * @param {string|null} imageHref - Path of the embedded image, or null for a placeholder
+ */
+function renderMessage(message, imageHref) {
+  const time = `<span class="time">${formatClockTime(message.timestamp)}</span>`;
+
+  if (message.type === 'system') {
+    return `<p class="system">${time} ${linkifyXml(getMessageText(message)).replace(/\n/g, '<br/>')}</p>\n`;
+  }
+
+  let html = `<div class="message">\n<p><span class="sender">${escapeXml(message.sender)}</span> ${time}${message.edited ? ' <span class="edited">(edited)</span>' : ''}</p>\n`;
+
+  if (message.media && message.media.filename) {
+    if (imageHref) {
+      html += `<div class="image"><img src="${escapeXml(imageHref)}" alt="${escapeXml(message.media.filename)}"/></div>\n`;
+    } else {
+      html += `<p class="media">[${escapeXml(getMediaLabel(message))}${message.media.excluded ? ', not included in this export' : ''}]</p>\n`;
+    }
+  }
+
+  const special = describeSpecialMessage(message);
+  const lines = special.length > 0 ? special : getMessageText(message).split('\n');
+  if (lines.some(Boolean)) {
+    html += `<p>${lines.map(linkifyXml).join('<br/>')}</p>\n`;
+  }
+
+  return `${html}</div>\n`;
+}
+
+/**
+ * Write chat.epub to outputDir
+ * Images are read from outputDir/media, so this runs after the media is copied.
+ * @param {Iterable|AsyncIterable} messages - Messages in chronological order
+ * @param {Object} metadata - Chat metadata (see parseExport)
+ * @param {string} outputDir
+ * @returns {Promise<string>} Path of the written file
+ */
+export async function generateEpubFile(messages, metadata, outputDir) {
+  const epubPath = join(outputDir, 'chat.epub');
+  const bookId = getBookId(metadata);
+  const chapters = [];
+  const images = [];
+  const imageHrefs = new Map();
+  const zip = await openZipWriter(epubPath);
+
+  /**
+   * Add a message's photo to the book once
+   * @returns {Promise<string|null>} Its path in the book, or null when it can't be embedded
+   */
+  async function addImage(media) {
+    if (imageHrefs.has(media.filename)) {
+      return imageHrefs.get(media.filename);
+    }
+
+    let href = null;
+    if (!media.excluded && EMBEDDED_IMAGE_TYPES.includes(media.mimeType)) {
+      try {
+        const data = await readFile(join(outputDir, 'media', media.filename));
+        href = `images/${encodeURIComponent(media.filename)}`;
+        // Already compressed
+        await zip.add(`OEBPS/images/${media.filename}`, data, { compress: false });
+        images.push({ id: `image-${images.length + 1}`, href, mimeType: media.mimeType });
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    imageHrefs.set(media.filename, href);
+    return href;
+  }
+
+  // Chapters per month: a month the chat comes back to (clock changed) gets another chapter
+  const monthChapters = new Map();
+  let chapter = null;
+  async function finishChapter() {
+    if (!chapter) return;
+    await zip.add(`OEBPS/${chapter.file}`, renderXhtml(formatMonth(chapter.month),
+      `<section epub:type="chapter">\n<h1>${formatMonth(chapter.month)}</h1>\n${chapter.body}</section>\n`));
+    chapters.push({ id: chapter.id, month: chapter.month, file: chapter.file });
+    chapter = null;
+  }
+
+  try {
+    // Must be the first entry, uncompressed
+    await zip.add('mimetype', MIMETYPE, { compress: false });
+    await zip.add('META-INF/container.xml', CONTAINER_XML);
+    await zip.add('OEBPS/style.css', STYLESHEET);
+    await zip.add('OEBPS/title.xhtml', renderTitlePage(metadata));
+
+    let currentDateKey = null;
+    for await (const msg of messages) {
+      const dateKey = getLocalDateKey(msg.timestamp);
+      const month = dateKey.slice(0, 7);
+      if (!chapter || chapter.month !== month) {
+        await finishChapter();
+        const monthChapter = (monthChapters.get(month) || 0) + 1;
+        monthChapters.set(month, monthChapter);
+        const id = `chapter-${month}${monthChapter > 1 ? `-${monthChapter}` : ''}`;
+        chapter = { id, month, file: `${id}.xhtml`, body: '' };
+      }
+      if (dateKey !== currentDateKey) {
+        currentDateKey = dateKey;
+        chapter.body += `<h2>${formatLongDate(msg.timestamp)}</h2>\n`;
+      }
+
+      const imageHref = msg.media && msg.media.filename && msg.media.mediaType === 'image'
+        ? await addImage(msg.media)
+        : null;
+      chapter.body += renderMessage(msg, imageHref);
+    }
+    await finishChapter();
+
+    await zip.add('OEBPS/nav.xhtml', renderNavPage(metadata, chapters));
+    await zip.add('OEBPS/toc.ncx', renderNcx(metadata, bookId, chapters));
+    await zip.add('OEBPS/content.opf', renderPackage(metadata, bookId, chapters, images));
+  } catch (error) {
+    // Don't leave a truncated book behind
+    await zip.close().catch(() => {});
+    await rm(epubPath, { force: true });
+    throw error;
+  }
+  await zip.close();
+
+  return epubPath;
+}
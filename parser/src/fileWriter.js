@@ -0,0 +1,59 @@
+import { createWriteStream } from 'fs';
+import { once } from 'events';
+
+/**
+ * Streamed file output
+ */
+
+/**
+ * Open a file for streamed writing
+ * write() waits whenever the stream buffer is full, so large outputs never pile up in memory.
+ */
+export function openFileWriter(filePath) {
+  const stream = createWriteStream(filePath, { encoding: 'utf-8' });
+  let streamError = null;
+
+  stream.on('error', error => {
+    streamError = error;
+  });
+
+  return {
+    async write(chunk) {
+      if (streamError) throw streamError;
+      if (!stream.write(chunk)) {
+        await once(stream, 'drain');
+      }
+    },
+
+    async close() {
+      if (streamError) throw streamError;
+      stream.end();
+      await once(stream, 'finish');
+    }
+  };
+}
+
+/**
+ * Write items as a pretty-printed JSON array, one item at a time
+ * Output is identical to JSON.stringify(items, null, 2).
+ * @param {Iterable|AsyncIterable} items
+ * @returns {Promise<number>} Number of items written
+ */
+export async function writeJsonArray(filePath, items) {
+  const writer = openFileWriter(filePath);
+  let count = 0;
+
+  try {
+    for await (const item of items) {
+      const json = JSON.stringify(item, null, 2).replace(/\n/g, '\n  ');
+      await writer.write(`${count === 0 ? '[\n' : ',\n'}  ${json}`);
+      count++;
+    }
+
+    await writer.write(count === 0 ? '[]' : '\n]');
+  } finally {
+    await writer.close();
+  }
+
+  return count;
+}
@@ -1,5 +1,20 @@
-import { writeFile } from 'fs/promises';
 import { join } from 'path';
+import { readdir, rm, writeFile } from 'fs/promises';
+import { openFileWriter } from './fileWriter.js';
+import { getLocalDateKey, toWallClockDate, getDateKeyInZone, addDays } from './timezone.js';
+import { stripAttachmentMarkers } from './locales/index.js';
+import { getMediaTypeFromName, isVoiceNote } from './mediaTypes.js';
+import { createEncryptor } from './encryption.js';
+import {
+  SPECIAL_TYPES,
+  VIEW_ONCE_LABELS,
+  MEDIA_ICONS,
+  formatDuration,
+  formatFileSize,
+  formatMonth,
+  formatMonthName,
+  describeSpecialMessage
+} from './messageFormat.js';
 
 /**
  * Generate HTML file from parsed messages
@@ -43,72 +58,132 @@ function linkifyText(text) {
   return text;
 }
 
+// Shared formatters (toLocale*String would build a new formatter for every message)
+// Timestamps are shown as written in the chat: formatters read the wall-clock
+// date from toWallClockDate in UTC, whatever the viewer machine's timezone is.
+const TIME_FORMAT = new Intl.DateTimeFormat('en-US', {
+  hour: 'numeric',
+  minute: '2-digit',
+  hour12: true,
+  timeZone: 'UTC'
+});
+const DATE_FORMAT = new Intl.DateTimeFormat('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
 /**
  * Format timestamp for display
  */
 function formatTime(timestamp) {
-  const date = new Date(timestamp);
-  return date.toLocaleTimeString('en-US', {
-    hour: 'numeric',
-    minute: '2-digit',
-    hour12: true
-  });
+  return TIME_FORMAT.format(toWallClockDate(timestamp));
 }
 
 /**
  * Format date for divider
+ * @param {string} todayKey - Today's date in the chat's timezone ("2025-06-18")
  */
-function formatDate(timestamp) {
-  const date = new Date(timestamp);
-  const today = new Date();
-  const yesterday = new Date(today);
-  yesterday.setDate(yesterday.getDate() - 1);
+function formatDate(timestamp, todayKey) {
+  const dateKey = getDateKey(timestamp);
 
-  const dateOnly = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-  const todayOnly = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-  const yesterdayOnly = new Date(yesterday.getFullYear(), yesterday.getMonth(), yesterday.getDate());
-
-  if (dateOnly.getTime() === todayOnly.getTime()) {
+  if (dateKey === todayKey) {
     return 'Today';
-  } else if (dateOnly.getTime() === yesterdayOnly.getTime()) {
+  } else if (dateKey === addDays(todayKey, -1)) {
     return 'Yesterday';
   } else {
-    return date.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
+    return DATE_FORMAT.format(toWallClockDate(timestamp));
   }
 }
 
 /**
- * Get date key for grouping
+ * Get date key for grouping (the chat's local calendar day)
  */
 function getDateKey(timestamp) {
-  const date = new Date(timestamp);
-  return date.toISOString().split('T')[0];
+  return getLocalDateKey(timestamp);
+}
+
+/**
+ * Generate the bubble body for deleted, call, location, poll and view once messages
+ */
+function generateSpecialContentHtml(message) {
+  let html = '';
+
+  if (message.type === 'deleted') {
+    html += `    <div class="content deleted-text">🚫 ${escapeHtml(message.content)}</div>\n`;
+  } else if (message.type === 'call') {
+    const { kind, missed } = message.call;
+    const icon = kind === 'video' ? '📹' : '📞';
+    html += `    <div class="call-info${missed ? ' missed' : ''}">${icon} ${escapeHtml(message.content)}</div>\n`;
+  } else if (message.type === 'location') {
+    const { latitude, longitude, url, live } = message.location;
+    const label = live ? 'Live location' : 'Location';
+    const coordinates = latitude !== null ? `<span class="coordinates">${latitude}, ${longitude}</span>` : '';
+    if (url) {
+      html += `    <a class="location-link" href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">📍 ${label}${coordinates}</a>\n`;
+    } else {
+      html += `    <div class="location-link">📍 ${label}${coordinates}</div>\n`;
+    }
+  } else if (message.type === 'poll') {
+    const { question, options, totalVotes } = message.poll;
+    html += `    <div class="poll">\n`;
+    html += `      <div class="poll-question">📊 ${escapeHtml(question)}</div>\n`;
+    options.forEach(option => {
+      const percent = totalVotes > 0 ? Math.round((option.votes / totalVotes) * 100) : 0;
+      html += `      <div class="poll-option">\n`;
+      html += `        <div class="poll-option-label"><span>${escapeHtml(option.text)}</span><span>${option.votes}</span></div>\n`;
+      html += `        <div class="poll-bar"><div style="width: ${percent}%"></div></div>\n`;
+      html += `      </div>\n`;
+    });
+    html += `    </div>\n`;
+  } else if (message.type === 'view_once') {
+    html += `    <div class="content view-once">👁 ${VIEW_ONCE_LABELS[message.viewOnce.mediaType]}</div>\n`;
+  }
+
+  return html;
+}
+
+// Largest height an image is shown at in the chat (matches .media img in the CSS)
+const MAX_IMAGE_HEIGHT = 400;
+
+/**
+ * width/height attributes for an image, scaled to the size it is displayed at
+ * The browser reserves the space before the image loads, so the chat does not
+ * jump around while scrolled to the bottom.
+ */
+function getImageSizeAttributes(media) {
+  if (!media.width || !media.height) {
+    return '';
+  }
+  const scale = Math.min(1, MAX_IMAGE_HEIGHT / media.height);
+  return ` width="${Math.round(media.width * scale)}" height="${Math.round(media.height * scale)}"`;
 }
 
 /**
  * Generate message HTML
  */
 function generateMessageHtml(message) {
-  const messageClass = message.type === 'system' ? 'message system' : 'message';
-  let html = `<div class="${messageClass}">\n`;
+  const messageClass = message.type === 'text' || message.type === 'media'
+    ? 'message'
+    : `message ${message.type.replace(/_/g, '-')}`;
+  const eventAttribute = message.event ? ` data-event="${message.event.type}"` : '';
+  let html = `<div class="${messageClass}"${eventAttribute}>\n`;
   html += '  <div class="message-bubble">\n';
 
   // Sender name (for non-system messages)
   if (message.type !== 'system') {
-    html += `    <div class="sender">${escapeHtml(message.sender)}</div>\n`;
+    const senderStyle = message.senderColor ? ` style="color: ${escapeHtml(message.senderColor)}"` : '';
+    const senderTitle = message.originalSender ? ` title="${escapeHtml(message.originalSender)}"` : '';
+    html += `    <div class="sender"${senderStyle}${senderTitle}>${escapeHtml(message.sender)}</div>\n`;
   }
 
   // Message content
-  if (message.content && message.content.trim()) {
-    // Remove <attached: ...> tags and (file attached) patterns from content since we display media separately
-    let cleanContent = message.content
-      .replace(/<attached:[^>]+>/g, '')
-      .replace(/^.+?\.(jpg|jpeg|png|gif|webp|mp4|avi|mov|mkv|opus|mp3|ogg|aac|m4a|pdf|doc|docx|xls|xlsx) \(file attached\)/gi, '')
-      .trim();
+  if (SPECIAL_TYPES.includes(message.type)) {
+    html += generateSpecialContentHtml(message);
+  } else if (message.content && message.content.trim()) {
+    // Remove <attached: ...> tags and (file attached) patterns (in any locale) from content since we display media separately
+    const cleanContent = stripAttachmentMarkers(message.content).trim();
 
     // Only show content if there's text after removing attachment tags
     if (cleanContent) {
@@ -121,19 +196,32 @@ function generateMessageHtml(message) {
   // Media
   if (message.media && message.media.filename) {
     const { filename, mediaType } = message.media;
+    const mimeType = message.media.mimeType || getMediaTypeFromName(filename).mimeType;
     const mediaPath = `media/${filename}`;
 
-    if (mediaType === 'image') {
+    if (message.media.excluded) {
+      // Left out of this export (media type, size limit or budget)
+      const fileSize = message.media.fileSize ? ` · ${formatFileSize(message.media.fileSize)}` : '';
+      html += `    <div class="media excluded">\n`;
+      html += `      ${MEDIA_ICONS[mediaType] || MEDIA_ICONS.document} ${escapeHtml(filename)}${fileSize}\n`;
+      html += `      <span class="excluded-note">Not included in this export</span>\n`;
+      html += `    </div>\n`;
+    } else if (mediaType === 'image') {
       html += `    <div class="media">\n`;
-      html += `      <img src="${mediaPath}" alt="${escapeHtml(filename)}" onclick="viewImage('${mediaPath}')">\n`;
+      html += `      <img src="${mediaPath}" alt="${escapeHtml(filename)}"${getImageSizeAttributes(message.media)} loading="lazy" decoding="async" onclick="viewImage('${mediaPath}')">\n`;
       html += `    </div>\n`;
     } else if (mediaType === 'audio') {
+      // The length is known up front, so nothing is fetched until played
+      const { duration } = message.media;
       html += `    <div class="media">\n`;
-      html += `      <audio controls>\n`;
-      html += `        <source src="${mediaPath}" type="audio/opus">\n`;
-      html += `        <source src="${mediaPath}" type="audio/mpeg">\n`;
+      html += `      <audio controls${duration ? ' preload="none"' : ''}>\n`;
+      html += `        <source src="${mediaPath}" type="${escapeHtml(mimeType)}">\n`;
       html += `        Your browser does not support audio playback.\n`;
       html += `      </audio>\n`;
+      if (duration) {
+        const icon = isVoiceNote(message.media) ? '🎤' : '🎵';
+        html += `      <span class="media-duration">${icon} ${formatDuration(duration)}</span>\n`;
+      }
       html += `    </div>\n`;
     } else if (mediaType === 'video') {
       html += `    <div class="media video-placeholder">\n`;
@@ -141,9 +229,18 @@ function generateMessageHtml(message) {
       html += `        <div class="video-thumbnail">\n`;
       html += `          <div class="play-icon">▶</div>\n`;
       html += `          <div class="video-info">🎥 ${escapeHtml(filename)}</div>\n`;
+      if (message.media.duration) {
+        html += `          <span class="video-duration">${formatDuration(message.media.duration)}</span>\n`;
+      }
       html += `        </div>\n`;
       html += `      </a>\n`;
       html += `    </div>\n`;
+    } else if (mediaType === 'contact') {
+      html += `    <div class="media contact">\n`;
+      html += `      <a href="${mediaPath}" download="${escapeHtml(filename)}">\n`;
+      html += `        👤 ${escapeHtml(message.contact.name)}\n`;
+      html += `      </a>\n`;
+      html += `    </div>\n`;
     } else {
       // Document or other
       html += `    <div class="media document">\n`;
@@ -156,7 +253,8 @@ function generateMessageHtml(message) {
 
   // Timestamp (for non-system messages)
   if (message.type !== 'system') {
-    html += `    <div class="time">${formatTime(message.timestamp)}</div>\n`;
+    const edited = message.edited ? '<span class="edited">Edited</span> ' : '';
+    html += `    <div class="time">${edited}${formatTime(message.timestamp)}</div>\n`;
   }
 
   html += '  </div>\n';
@@ -166,29 +264,24 @@ function generateMessageHtml(message) {
 }
 
 /**
- * Generate complete HTML file
+ * Render the page head, styles, header, toolbar and opening of the messages container
+ * Encrypted pages show a passphrase prompt and leave out the chat name (it is
+ * part of the encrypted messages), the message counts and date range.
+ * @param {Object} [page] - One page of a paginated viewer: { index, label }
  */
-export async function generateHtmlFile(messages, metadata, outputDir) {
-  // Group messages by date
-  const messagesByDate = {};
-  messages.forEach(msg => {
-    const dateKey = getDateKey(msg.timestamp);
-    if (!messagesByDate[dateKey]) {
-      messagesByDate[dateKey] = [];
-    }
-    messagesByDate[dateKey].push(msg);
-  });
-
-  // Sort dates chronologically
-  const dateKeys = Object.keys(messagesByDate).sort();
-
-  // Start building HTML
-  let html = `<!DOCTYPE html>
+function renderPageStart(metadata, encrypted = false, page = null) {
+  const chatName = encrypted ? 'Encrypted chat' : metadata.chatName;
+  const info = encrypted
+    ? '🔒 Passphrase protected'
+    : `${metadata.messageCount} messages • ${metadata.participants?.length || 0} participants`;
+  const dateRange = encrypted ? '' : ` min="${metadata.dateRange.start}" max="${metadata.dateRange.end}"`;
+
+  return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=5.0">
-  <title>${escapeHtml(metadata.chatName)} - WhatsApp Chat</title>
+  <title>${escapeHtml(chatName)}${page ? ` - ${escapeHtml(page.label)}` : ''} - WhatsApp Chat</title>
   <style>
     :root {
       --whatsapp-green: #075e54;
@@ -275,6 +368,40 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
       transform: scale(0.95);
     }
 
+    /* Page navigation (paginated viewer) */
+    .page-nav {
+      background: white;
+      padding: 8px 16px;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 12px;
+      border-bottom: 1px solid var(--border-color);
+      font-size: 14px;
+      flex-shrink: 0;
+    }
+
+    .page-nav a {
+      color: var(--whatsapp-light-green);
+      text-decoration: none;
+      flex: 1;
+    }
+
+    .page-nav .page-index {
+      text-align: center;
+      font-weight: 500;
+    }
+
+    .page-nav .next-page {
+      text-align: right;
+    }
+
+    .messages-container .page-nav {
+      margin: 16px 0 0;
+      border: 1px solid var(--border-color);
+      border-radius: 8px;
+    }
+
     /* Messages container */
     .messages-container {
       flex: 1;
@@ -383,6 +510,12 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
       transition: opacity 0.2s;
     }
 
+    /* Sized images keep their aspect ratio while loading (width/height attributes) */
+    .media img[width] {
+      max-height: none;
+      height: auto;
+    }
+
     .media img:hover {
       opacity: 0.9;
     }
@@ -393,6 +526,65 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
       border-radius: 8px;
     }
 
+    .media.excluded {
+      padding: 10px 12px;
+      border: 1px dashed var(--border-color);
+      border-radius: 8px;
+      font-size: 13px;
+      word-break: break-word;
+    }
+
+    .excluded-note {
+      display: block;
+      margin-top: 2px;
+      font-size: 12px;
+      color: var(--text-secondary);
+    }
+
+    .media-duration {
+      display: block;
+      margin-top: 4px;
+      font-size: 12px;
+      color: var(--text-secondary);
+    }
+
+    /* Encrypted chat */
+    .lock-screen {
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+      max-width: 320px;
+      margin: 60px auto;
+      padding: 24px;
+      background: white;
+      border-radius: 8px;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.15);
+      text-align: center;
+    }
+
+    .lock-screen input {
+      padding: 10px;
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      font-size: 15px;
+    }
+
+    .lock-screen button {
+      padding: 10px;
+      border: none;
+      border-radius: 6px;
+      background: var(--whatsapp-light-green);
+      color: white;
+      font-size: 15px;
+      cursor: pointer;
+    }
+
+    .lock-error {
+      color: #d32f2f;
+      font-size: 13px;
+      min-height: 16px;
+    }
+
     /* Video placeholder */
     .media.video-placeholder {
       margin: 8px 0;
@@ -446,6 +638,17 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
       transform: scale(1.1);
     }
 
+    .video-duration {
+      position: absolute;
+      left: 8px;
+      bottom: 8px;
+      padding: 1px 6px;
+      border-radius: 4px;
+      background: rgba(0, 0, 0, 0.5);
+      color: white;
+      font-size: 12px;
+    }
+
     .video-info {
       color: white;
       font-size: 13px;
@@ -469,6 +672,93 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
       background: #e5e7eb;
     }
 
+    .media.contact a {
+      color: var(--whatsapp-light-green);
+      text-decoration: none;
+      display: inline-flex;
+      align-items: center;
+      gap: 8px;
+      padding: 10px 12px;
+      background: #f0f2f5;
+      border-radius: 8px;
+      font-weight: 500;
+    }
+
+    /* Deleted, edited and view once messages */
+    .content.deleted-text,
+    .content.view-once {
+      font-style: italic;
+      color: var(--text-secondary);
+    }
+
+    .time .edited {
+      font-style: italic;
+    }
+
+    /* Calls */
+    .call-info {
+      font-size: var(--font-size);
+      padding: 4px 0;
+    }
+
+    .call-info.missed {
+      color: #d32f2f;
+    }
+
+    /* Locations */
+    .location-link {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+      padding: 10px 12px;
+      margin: 4px 0;
+      background: #f0f2f5;
+      border-radius: 8px;
+      color: var(--whatsapp-light-green);
+      text-decoration: none;
+      font-size: var(--font-size);
+    }
+
+    .location-link .coordinates {
+      font-size: 12px;
+      color: var(--text-secondary);
+    }
+
+    /* Polls */
+    .poll {
+      min-width: 220px;
+      font-size: var(--font-size);
+    }
+
+    .poll-question {
+      font-weight: 600;
+      margin: 4px 0 8px;
+      white-space: pre-wrap;
+    }
+
+    .poll-option {
+      margin: 6px 0;
+    }
+
+    .poll-option-label {
+      display: flex;
+      justify-content: space-between;
+      gap: 12px;
+    }
+
+    .poll-bar {
+      height: 6px;
+      background: #e9edef;
+      border-radius: 3px;
+      overflow: hidden;
+      margin-top: 4px;
+    }
+
+    .poll-bar div {
+      height: 100%;
+      background: var(--whatsapp-teal);
+    }
+
     /* System messages */
     .message.system {
       justify-content: center;
@@ -700,9 +990,9 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
 </head>
 <body>
   <div class="header">
-    <h1>${escapeHtml(metadata.chatName)}</h1>
+    <h1 id="chatTitle">${escapeHtml(chatName)}</h1>
     <div class="info">
-      ${metadata.messageCount} messages • ${metadata.participants?.length || 0} participants
+      ${info}
     </div>
   </div>
 
@@ -711,7 +1001,7 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
     <button onclick="increaseFont()" title="Increase font size">A+</button>
     <button onclick="toggleSearch()" title="Search in chat">🔍 Search</button>
     <button onclick="toggleDatePicker()" title="Jump to date">📅 Jump to Date</button>
-    <button onclick="scrollToBottom()" title="Go to bottom">⬇ Latest</button>
+    <button onclick="${page ? 'openLatestPage()' : 'scrollToBottom()'}" title="Go to bottom">⬇ Latest</button>
   </div>
 
   <div class="search-container" id="searchContainer">
@@ -724,31 +1014,50 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
 
   <div class="date-picker-container" id="datePickerContainer">
     <label for="dateInput">Jump to date:</label>
-    <input type="date" id="dateInput" min="${metadata.dateRange.start}" max="${metadata.dateRange.end}">
+    <input type="date" id="dateInput"${dateRange}>
     <button onclick="jumpToDate()" title="Go">Go</button>
     <button onclick="closeDatePicker()" title="Close">✕</button>
   </div>
 
+${page ? renderPageNav(page) : ''}${encrypted ? renderLockScreen() : ''}
   <div class="messages-container" id="messagesContainer">
 `;
+}
 
-  // Generate messages grouped by date
-  dateKeys.forEach(dateKey => {
-    const dateMessages = messagesByDate[dateKey];
-
-    // Add date divider with data-date attribute for jump-to-date functionality
-    html += `    <div class="date-divider" data-date="${dateKey}"><span>${formatDate(dateMessages[0].timestamp)}</span></div>\n\n`;
-
-    // Add messages for this date
-    dateMessages.forEach(msg => {
-      html += generateMessageHtml(msg);
-    });
-  });
+/**
+ * Previous / index / next links of a viewer page
+ * The previous and next links are filled in from chat-pages.js (see renderPagesScript).
+ */
+function renderPageNav(page) {
+  return `  <nav class="page-nav">
+    <a class="prev-page"></a>
+    <a class="page-index" href="chat.html" title="All months">📚 ${escapeHtml(page.label)}</a>
+    <a class="next-page"></a>
+  </nav>
+`;
+}
 
-  // Close HTML
-  html += `
-  </div>
+/**
+ * Passphrase prompt of an encrypted page
+ */
+function renderLockScreen() {
+  return `  <form class="lock-screen" id="lockScreen" onsubmit="unlockChat(event)">
+    <div class="lock-title">🔒 This chat is encrypted</div>
+    <input type="password" id="passphraseInput" placeholder="Passphrase" autocomplete="current-password" autofocus>
+    <button type="submit" id="unlockButton">Unlock</button>
+    <div class="lock-error" id="lockError"></div>
+  </form>
+`;
+}
 
+/**
+ * Render the closing of the messages container and the viewer script
+ * @param {Object} [page] - One page of a paginated viewer: { index, label }
+ */
+function renderPageEnd(encrypted = false, page = null) {
+  return `
+${page ? renderPageNav(page) : ''}  </div>
+${page ? '\n  <script src="chat-pages.js"></script>' : ''}
   <script>
     // Font size control
     let currentFontSize = 15;
@@ -805,6 +1114,17 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
       currentMatchIndex = -1;
     }
 
+    // Case-insensitive regex matching the query as typed
+    function getSearchRegex(query) {
+      // Escape special regex characters - simplified approach
+      let escapedQuery = query;
+      const specialChars = ['.', '*', '+', '?', '^', '$', '{', '}', '(', ')', '|', '[', ']', '\\\\'];
+      specialChars.forEach(char => {
+        escapedQuery = escapedQuery.split(char).join('\\\\' + char);
+      });
+      return new RegExp('(' + escapedQuery + ')', 'gi');
+    }
+
     function performSearch() {
       const query = searchInput.value.trim();
 
@@ -817,15 +1137,9 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
       // Clear previous highlights
       clearSearchHighlights();
 
-      // Get all text content elements
-      const contentElements = document.querySelectorAll('.content');
-      // Escape special regex characters - simplified approach
-      let escapedQuery = query;
-      const specialChars = ['.', '*', '+', '?', '^', '$', '{', '}', '(', ')', '|', '[', ']', '\\\\'];
-      specialChars.forEach(char => {
-        escapedQuery = escapedQuery.split(char).join('\\\\' + char);
-      });
-      const regex = new RegExp('(' + escapedQuery + ')', 'gi');
+      // Get all searchable text (message text, calls, locations, polls; see getSearchText)
+      const contentElements = document.querySelectorAll('.content, .call-info, .location-link, .poll-question, .poll-option-label span:first-child');
+      const regex = getSearchRegex(query);
 
       contentElements.forEach(element => {
         const textContent = element.textContent;
@@ -890,10 +1204,13 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
       if (searchMatches.length > 0) {
         currentMatchIndex = 0;
         highlightCurrentMatch();
-        searchInfo.textContent = \`1 / \${searchMatches.length}\`;
-      } else {
-        searchInfo.textContent = 'No results';
       }
+      updateSearchInfo();${page ? '\n      countSearchMatchesOnPages(query);' : ''}
+    }
+
+    function updateSearchInfo() {
+      let info = searchMatches.length > 0 ? \`\${currentMatchIndex + 1} / \${searchMatches.length}\` : 'No results';${page ? '\n      info += getSearchTotalText();' : ''}
+      searchInfo.textContent = info;
     }
 
     function highlightCurrentMatch() {
@@ -909,18 +1226,18 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
       }
     }
 
-    function searchNext() {
+    function searchNext() {${page ? '\n      // Past the last match: on to the next page with matches\n      if (currentMatchIndex === searchMatches.length - 1 && openSearchPage(1)) return;' : ''}
       if (searchMatches.length === 0) return;
       currentMatchIndex = (currentMatchIndex + 1) % searchMatches.length;
       highlightCurrentMatch();
-      searchInfo.textContent = \`\${currentMatchIndex + 1} / \${searchMatches.length}\`;
+      updateSearchInfo();
     }
 
-    function searchPrev() {
+    function searchPrev() {${page ? '\n      if (currentMatchIndex <= 0 && openSearchPage(-1)) return;' : ''}
       if (searchMatches.length === 0) return;
       currentMatchIndex = (currentMatchIndex - 1 + searchMatches.length) % searchMatches.length;
       highlightCurrentMatch();
-      searchInfo.textContent = \`\${currentMatchIndex + 1} / \${searchMatches.length}\`;
+      updateSearchInfo();
     }
 
     // Scroll to bottom
@@ -974,7 +1291,7 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
         }
       }
 
-      if (!found) {
+      if (!found${page ? ' && !openDatePage(selectedDate)' : ''}) {
         alert('No messages found for this date');
       }
     }
@@ -984,8 +1301,9 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
       window.open(src, '_blank');
     }
 
-    // Initialize on load
-    window.addEventListener('DOMContentLoaded', function() {
+${encrypted ? renderUnlockScript() : ''}${page ? renderPagesScript(page) : ''}
+    // Initialize on load (encrypted chats: once unlocked)
+    function initViewer() {
       // Restore saved font size
       const savedFontSize = localStorage.getItem('chatFontSize');
       if (savedFontSize) {
@@ -993,8 +1311,10 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
         document.documentElement.style.setProperty('--font-size', currentFontSize + 'px');
       }
 
-      // Scroll to bottom (latest messages)
-      scrollToBottom();
+${page ? `      // Fill in the page links, then show what the link asked for
+      renderPageLinks();
+      openPageTarget();` : `      // Scroll to bottom (latest messages)
+      scrollToBottom();`}
 
       // Search input handler
       searchInput.addEventListener('input', function() {
@@ -1053,15 +1373,645 @@ export async function generateHtmlFile(messages, metadata, outputDir) {
           scrollToBottom();
         }
       });
-    });
+    }
+
+    if (!document.getElementById('lockScreen')) {
+      window.addEventListener('DOMContentLoaded', initViewer);
+    }
   </script>
 </body>
 </html>
 `;
+}
+
+/**
+ * Viewer script of an encrypted page (see encryption.js for the format)
+ * Derives the keys from the passphrase with WebCrypto, decrypts the messages
+ * into the page, then starts the viewer. Encrypted media (media/<id>.js) is
+ * decrypted into blob: URLs when it scrolls into view.
+ */
+function renderUnlockScript() {
+  return `
+    // Encrypted chat
+    let chatKeys = null;
+
+    function base64ToBytes(base64) {
+      const binary = atob(base64);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      return bytes;
+    }
+
+    async function deriveChatKeys(passphrase, salt, iterations) {
+      const encoded = new TextEncoder().encode(passphrase.normalize('NFC'));
+      const baseKey = await crypto.subtle.importKey('raw', encoded, 'PBKDF2', false, ['deriveBits']);
+      const bits = new Uint8Array(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, baseKey, 512));
+      return {
+        aes: await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['decrypt']),
+        id: await crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+      };
+    }
+
+    // 12-byte IV, then the ciphertext and its tag
+    async function decryptBytes(bytes) {
+      const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12) }, chatKeys.aes, bytes.slice(12));
+      return new Uint8Array(plain);
+    }
+
+    async function unlockChat(event) {
+      event.preventDefault();
+      const payload = document.getElementById('encryptedChat');
+      const lockError = document.getElementById('lockError');
+      const unlockButton = document.getElementById('unlockButton');
+      if (!window.crypto || !crypto.subtle) {
+        lockError.textContent = 'This browser cannot decrypt the chat';
+        return;
+      }
+
+      unlockButton.disabled = true;
+      lockError.textContent = 'Decrypting...';
+      let html;
+      try {
+        chatKeys = await deriveChatKeys(
+          document.getElementById('passphraseInput').value,
+          base64ToBytes(payload.dataset.salt),
+          Number(payload.dataset.iterations)
+        );
+        html = new TextDecoder().decode(await decryptBytes(base64ToBytes(payload.textContent.trim())));
+      } catch (error) {
+        chatKeys = null;
+        lockError.textContent = 'Wrong passphrase';
+        unlockButton.disabled = false;
+        return;
+      }
+
+      // A template does not load images, so media can be switched to encrypted files first
+      const template = document.createElement('template');
+      template.innerHTML = html;
+      const chatName = template.content.getElementById('chatName');
+      if (chatName) {
+        document.title = \`\${chatName.textContent} - WhatsApp Chat\`;
+        document.getElementById('chatTitle').textContent = chatName.textContent;
+        chatName.remove();
+      }
+      if (payload.dataset.media === 'encrypted') {
+        prepareEncryptedMedia(template.content);
+      }
+      payload.replaceWith(template.content);
+      document.getElementById('lockScreen').remove();
+      if (payload.dataset.media === 'encrypted') {
+        observeEncryptedMedia();
+      }
+
+      const dividers = document.querySelectorAll('.date-divider');
+      if (dividers.length > 0) {
+        dateInput.min = dividers[0].dataset.date;
+        dateInput.max = dividers[dividers.length - 1].dataset.date;
+      }
+      initViewer();
+    }
+
+    // Encrypted media: each file is a script calling encryptedMedia(id, mimeType, data)
+    const mediaRequests = {};
+
+    function encryptedMedia(id, mimeType, data) {
+      if (mediaRequests[id]) {
+        mediaRequests[id].resolve({ mimeType, data });
+      }
+    }
+
+    function loadMediaScript(id) {
+      if (!mediaRequests[id]) {
+        const request = {};
+        request.promise = new Promise(function(resolve, reject) {
+          request.resolve = resolve;
+          const script = document.createElement('script');
+          script.src = 'media/' + id + '.js';
+          script.onerror = function() {
+            reject(new Error('Media file not found'));
+          };
+          document.head.appendChild(script);
+        });
+        mediaRequests[id] = request;
+      }
+      return mediaRequests[id].promise;
+    }
+
+    async function getMediaId(filename) {
+      const mac = await crypto.subtle.sign('HMAC', chatKeys.id, new TextEncoder().encode(filename));
+      return Array.from(new Uint8Array(mac).slice(0, 16), function(byte) {
+        return byte.toString(16).padStart(2, '0');
+      }).join('');
+    }
+
+    async function decryptMedia(element) {
+      const filename = element.dataset.media;
+      const attribute = element.dataset.mediaAttribute;
+      delete element.dataset.media;
+
+      const { mimeType, data } = await loadMediaScript(await getMediaId(filename));
+      const url = URL.createObjectURL(new Blob([await decryptBytes(base64ToBytes(data))], { type: mimeType }));
+      element.setAttribute(attribute, url);
+      if (element.tagName === 'SOURCE') {
+        element.parentElement.load();
+      }
+    }
+
+    // Swap media paths for data-media before the messages are added to the page
+    function prepareEncryptedMedia(content) {
+      content.querySelectorAll('[src^="media/"], [href^="media/"]').forEach(function(element) {
+        const attribute = element.hasAttribute('src') ? 'src' : 'href';
+        element.dataset.media = element.getAttribute(attribute).slice('media/'.length);
+        element.dataset.mediaAttribute = attribute;
+        element.removeAttribute(attribute);
+        if (element.tagName === 'IMG') {
+          element.setAttribute('onclick', 'viewImage(this.src)');
+        }
+      });
+    }
+
+    // Decrypt media shortly before it scrolls into view
+    function observeEncryptedMedia() {
+      const observer = new IntersectionObserver(function(entries) {
+        entries.forEach(function(entry) {
+          if (!entry.isIntersecting) return;
+          observer.unobserve(entry.target);
+          entry.target.querySelectorAll('[data-media]').forEach(function(element) {
+            decryptMedia(element).catch(function(error) {
+              console.warn('Could not decrypt media:', error.message);
+            });
+          });
+        });
+      }, { rootMargin: '400px' });
+
+      document.querySelectorAll('.media').forEach(function(media) {
+        if (media.querySelector('[data-media]')) {
+          observer.observe(media);
+        }
+      });
+    }
+`;
+}
+
+/**
+ * Viewer script of one page of a paginated viewer
+ * chat-pages.js lists every page with the days on it; the search text of all
+ * pages (chat-search.js) is only loaded once something is searched. Links
+ * between pages say what to show in the hash: #date=2024-03-05,
+ * #search=cake (&at=end for the last match) or #end.
+ */
+function renderPagesScript(page) {
+  return `
+    // Paginated viewer
+    const pageIndex = ${page.index};
+    const chatPages = window.chatPages || [];
+    let searchPageCounts = null;
+
+    function openPage(index, target) {
+      location.href = chatPages[index].file + (target ? '#' + target : '');
+    }
+
+    function renderPageLinks() {
+      const prev = chatPages[pageIndex - 1];
+      const next = chatPages[pageIndex + 1];
+      document.querySelectorAll('.page-nav').forEach(function(nav) {
+        if (prev) {
+          nav.querySelector('.prev-page').href = prev.file + '#end';
+          nav.querySelector('.prev-page').textContent = '‹ ' + prev.label;
+        }
+        if (next) {
+          nav.querySelector('.next-page').href = next.file;
+          nav.querySelector('.next-page').textContent = next.label + ' ›';
+        }
+      });
+    }
+
+    function openPageTarget() {
+      const target = new URLSearchParams(location.hash.slice(1));
+      const date = target.get('date');
+      if (date && /^\\d{4}-\\d{2}-\\d{2}$/.test(date)) {
+        const divider = document.querySelector('.date-divider[data-date="' + date + '"]');
+        if (divider) divider.scrollIntoView({ block: 'start' });
+      } else if (target.get('search')) {
+        searchContainer.classList.add('active');
+        searchInput.value = target.get('search');
+        performSearch();
+        if (target.get('at') === 'end' && searchMatches.length > 0) {
+          currentMatchIndex = searchMatches.length - 1;
+          highlightCurrentMatch();
+          updateSearchInfo();
+        }
+      } else if (target.has('end')) {
+        scrollToBottom();
+      }
+    }
+
+    function openLatestPage() {
+      if (pageIndex < chatPages.length - 1) {
+        openPage(chatPages.length - 1, 'end');
+      } else {
+        scrollToBottom();
+      }
+    }
+
+    // Jump to a date on another page (false when no page has it)
+    function openDatePage(date) {
+      const index = chatPages.findIndex(function(p) { return p.days.includes(date); });
+      if (index === -1 || index === pageIndex) return false;
+      openPage(index, 'date=' + date);
+      return true;
+    }
+
+    // Search across pages: match counts per page, from chat-search.js
+    function countSearchMatchesOnPages(query) {
+      searchPageCounts = null;
+      const count = function() {
+        if (searchInput.value.trim() !== query) return;
+        const regex = getSearchRegex(query);
+        searchPageCounts = window.chatSearchText.map(function(texts) {
+          return texts.reduce(function(sum, text) {
+            const matches = text.match(regex);
+            return sum + (matches ? matches.length : 0);
+          }, 0);
+        });
+        updateSearchInfo();
+      };
+
+      if (window.chatSearchText) {
+        count();
+        return;
+      }
+      const script = document.createElement('script');
+      script.src = 'chat-search.js';
+      script.onload = count;
+      document.head.appendChild(script);
+    }
+
+    function getSearchTotalText() {
+      if (!searchPageCounts) return '';
+      const total = searchPageCounts.reduce(function(sum, count) { return sum + count; }, 0);
+      const pages = searchPageCounts.filter(function(count) { return count > 0; }).length;
+      return ' · ' + total + ' on ' + pages + (pages === 1 ? ' page' : ' pages');
+    }
+
+    // Open the nearest page with matches in a direction, wrapping around (false when there is none)
+    function openSearchPage(direction) {
+      if (!searchPageCounts) return false;
+      for (let step = 1; step < chatPages.length; step++) {
+        const index = ((pageIndex + direction * step) % chatPages.length + chatPages.length) % chatPages.length;
+        if (searchPageCounts[index] > 0) {
+          openPage(index, 'search=' + encodeURIComponent(searchInput.value.trim()) + (direction < 0 ? '&at=end' : ''));
+          return true;
+        }
+      }
+      return false;
+    }
+`;
+}
+
+/**
+ * Render the index page of a paginated viewer (chat.html): the months with
+ * their message counts, grouped by year, and a date picker
+ * @param {Array} months - [{ key: '2024-03', count, file, first }] in chat order
+ */
+function renderIndexPage(metadata, months, pageCount) {
+  const years = new Map();
+  for (const month of months) {
+    const year = month.key.slice(0, 4);
+    if (!years.has(year)) years.set(year, []);
+    years.get(year).push(month);
+  }
+
+  let list = '';
+  for (const [year, yearMonths] of years) {
+    list += `    <h2>${year}</h2>\n`;
+    for (const month of yearMonths) {
+      list += `    <a class="month" href="${month.file}#date=${month.first}"><span>${formatMonthName(month.key)}</span><span class="count">${month.count.toLocaleString('en-US')} messages</span></a>\n`;
+    }
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=5.0">
+  <title>${escapeHtml(metadata.chatName)} - WhatsApp Chat</title>
+  <style>
+    :root {
+      --whatsapp-green: #075e54;
+      --whatsapp-light-green: #128c7e;
+      --whatsapp-bg: #e5ddd5;
+      --text-secondary: #667781;
+      --border-color: #d1d7db;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      margin: 0;
+      background: var(--whatsapp-bg);
+    }
+
+    .header {
+      background: var(--whatsapp-green);
+      color: white;
+      padding: 16px 20px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+    }
+
+    .header h1 {
+      margin: 0 0 4px 0;
+      font-size: 18px;
+      font-weight: 500;
+    }
+
+    .header .info {
+      font-size: 13px;
+      opacity: 0.9;
+    }
+
+    .toolbar {
+      background: #f0f2f5;
+      padding: 10px 16px;
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+      align-items: center;
+      border-bottom: 1px solid var(--border-color);
+      font-size: 14px;
+    }
+
+    .toolbar input,
+    .toolbar button,
+    .toolbar a {
+      border: 1px solid var(--border-color);
+      border-radius: 20px;
+      padding: 6px 14px;
+      font-size: 14px;
+      background: white;
+      color: inherit;
+      text-decoration: none;
+      cursor: pointer;
+    }
+
+    .months {
+      max-width: 600px;
+      margin: 0 auto;
+      padding: 8px 16px 24px;
+    }
+
+    .months h2 {
+      font-size: 14px;
+      font-weight: 600;
+      color: var(--text-secondary);
+      margin: 20px 4px 8px;
+    }
+
+    .month {
+      display: flex;
+      justify-content: space-between;
+      background: white;
+      color: inherit;
+      text-decoration: none;
+      padding: 12px 16px;
+      border-radius: 8px;
+      margin-bottom: 6px;
+      box-shadow: 0 1px 2px rgba(0,0,0,0.1);
+    }
+
+    .month:hover {
+      background: #f5f6f6;
+    }
+
+    .month .count {
+      color: var(--text-secondary);
+      font-size: 14px;
+    }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>${escapeHtml(metadata.chatName)}</h1>
+    <div class="info">
+      ${metadata.messageCount} messages • ${metadata.participants?.length || 0} participants • ${pageCount} ${pageCount === 1 ? 'page' : 'pages'}
+    </div>
+  </div>
+
+  <form class="toolbar" onsubmit="jumpToDate(event)">
+    <label for="dateInput">📅 Jump to date:</label>
+    <input type="date" id="dateInput" min="${metadata.dateRange.start}" max="${metadata.dateRange.end}">
+    <button type="submit">Go</button>
+    ${pageCount > 0 ? `<a href="${escapeHtml(months[months.length - 1].file)}#end">⬇ Latest</a>` : ''}
+  </form>
+
+  <div class="months">
+${list}  </div>
+
+  <script src="chat-pages.js"></script>
+  <script>
+    function jumpToDate(event) {
+      event.preventDefault();
+      const date = document.getElementById('dateInput').value;
+      const page = (window.chatPages || []).find(function(p) { return p.days.includes(date); });
+      if (page) {
+        location.href = page.file + '#date=' + date;
+      } else {
+        alert(date ? 'No messages found for this date' : 'Please select a date');
+      }
+    }
+  </script>
+</body>
+</html>
+`;
+}
+
+// Files of a paginated viewer besides chat.html: the pages, their list and the search text
+const PAGE_FILE_PATTERN = /^chat-(\d{4}-\d{2}(-\d+)?|\d{3,})\.html$/;
+const PAGES_SCRIPT = 'chat-pages.js';
+const SEARCH_SCRIPT = 'chat-search.js';
+
+/**
+ * Delete the pages of an earlier paginated viewer
+ * (so a single-page or encrypted viewer leaves no plaintext pages behind)
+ */
+async function removeViewerPages(outputDir) {
+  const names = await readdir(outputDir);
+  await Promise.all(names
+    .filter(name => PAGE_FILE_PATTERN.test(name) || name === PAGES_SCRIPT || name === SEARCH_SCRIPT)
+    .map(name => rm(join(outputDir, name), { force: true })));
+}
+
+/**
+ * Text of a message as the viewer's search sees it: the text of its searchable
+ * elements (.content, .call-info, .location-link, poll question and options),
+ * one per line so matches never span two of them
+ */
+function getSearchText(message) {
+  switch (message.type) {
+    case 'location': {
+      // The link shows the coordinates, not the URL
+      const { latitude, longitude, live } = message.location;
+      return `📍 ${live ? 'Live location' : 'Location'}${latitude !== null ? `${latitude}, ${longitude}` : ''}`;
+    }
+    case 'poll':
+      return [describeSpecialMessage(message)[0], ...message.poll.options.map(option => option.text)].join('\n');
+    case 'deleted':
+    case 'call':
+    case 'view_once':
+      return describeSpecialMessage(message)[0];
+    default:
+      return message.content ? stripAttachmentMarkers(message.content).trim() : '';
+  }
+}
+
+/**
+ * Generate a paginated viewer: chat.html lists the months and links to
+ * chat-2024-03.html (one page per month) or chat-001.html (per N messages)
+ * Pages are written as the messages arrive, the search text alongside them;
+ * the page list (chat-pages.js) and the index are written last.
+ * @param {string|number} paginate - 'month' or the number of messages per page
+ * @returns {Promise<{htmlPath: string, pages: number}>}
+ */
+async function generatePagedHtmlFiles(messages, metadata, outputDir, paginate) {
+  const byMonth = paginate === 'month';
+  const todayKey = getDateKeyInZone(metadata.timezone);
+  const pages = [];
+  const months = [];
+  // Pages per month: a month the chat comes back to (clock changed) gets another page
+  const monthPages = new Map();
+  const search = openFileWriter(join(outputDir, SEARCH_SCRIPT));
+  let writer = null;
+  let page = null;
+  let currentDateKey = null;
+
+  async function closePage() {
+    await writer.write(renderPageEnd(false, page));
+    await writer.close();
+    writer = null;
+    await search.write(']');
+  }
+
+  try {
+    await search.write('window.chatSearchText = [');
+    for await (const msg of messages) {
+      const dateKey = getDateKey(msg.timestamp);
+      const monthKey = dateKey.slice(0, 7);
+
+      if (!page || (byMonth ? monthKey !== page.month : page.count === paginate)) {
+        if (page) {
+          await closePage();
+        }
+        const index = pages.length;
+        const monthPage = (monthPages.get(monthKey) || 0) + 1;
+        monthPages.set(monthKey, monthPage);
+        page = {
+          index,
+          file: byMonth
+            ? `chat-${monthKey}${monthPage > 1 ? `-${monthPage}` : ''}.html`
+            : `chat-${String(index + 1).padStart(3, '0')}.html`,
+          label: byMonth ? formatMonth(monthKey) : `Page ${index + 1}`,
+          month: monthKey,
+          count: 0,
+          days: []
+        };
+        pages.push(page);
+        writer = openFileWriter(join(outputDir, page.file));
+        await writer.write(renderPageStart(metadata, false, page));
+        await search.write(index > 0 ? ',[' : '[');
+        currentDateKey = null;
+      }
+
+      if (dateKey !== currentDateKey) {
+        currentDateKey = dateKey;
+        page.days.push(dateKey);
+        await writer.write(`    <div class="date-divider" data-date="${dateKey}"><span>${formatDate(msg.timestamp, todayKey)}</span></div>\n\n`);
+      }
+      if (months.length === 0 || months[months.length - 1].key !== monthKey) {
+        months.push({ key: monthKey, count: 0, file: page.file, first: dateKey });
+      }
+      months[months.length - 1].count++;
+
+      await writer.write(generateMessageHtml(msg));
+      await search.write(`${page.count > 0 ? ',' : ''}${JSON.stringify(getSearchText(msg))}`);
+      page.count++;
+    }
+
+    if (page) {
+      await closePage();
+    }
+    await search.write('];\n');
+  } finally {
+    if (writer) await writer.close();
+    await search.close();
+  }
+
+  const pageList = pages.map(({ file, label, days }) => ({ file, label, days }));
+  await writeFile(join(outputDir, PAGES_SCRIPT), `window.chatPages = ${JSON.stringify(pageList)};\n`, 'utf-8');
+
+  const htmlPath = join(outputDir, 'chat.html');
+  await writeFile(htmlPath, renderIndexPage(metadata, months, pages.length), 'utf-8');
+  return { htmlPath, pages: pages.length };
+}
+
+/**
+ * Generate complete HTML file
+ * Messages are written to disk as they arrive, so an async iterable
+ * (e.g. parseChatStream) keeps memory flat for very large chats.
+ * With options.encryption the messages are encrypted as they are written and
+ * the page asks for the passphrase (see encryption.js).
+ * With options.paginate the messages are split into pages instead
+ * (see generatePagedHtmlFiles).
+ * @param {Iterable|AsyncIterable} messages - Messages in chronological order
+ * @param {Object} [options]
+ * @param {Object} [options.encryption] - Keys from createEncryptionKeys
+ * @param {boolean} [options.encryptedMedia] - Media is in encrypted files (see encryptMediaFiles)
+ * @param {string|number} [options.paginate] - 'month' or a number of messages per page
+ * @returns {Promise<{htmlPath: string, pages: number}>} pages is 0 for a single-page viewer
+ */
+export async function generateHtmlFile(messages, metadata, outputDir, options = {}) {
+  await removeViewerPages(outputDir);
+  if (options.paginate) {
+    if (options.encryption) {
+      throw new Error('A paginated viewer cannot be encrypted');
+    }
+    return generatePagedHtmlFiles(messages, metadata, outputDir, options.paginate);
+  }
 
-  // Write HTML file
   const htmlPath = join(outputDir, 'chat.html');
-  await writeFile(htmlPath, html, 'utf-8');
+  const writer = openFileWriter(htmlPath);
+  const { encryption } = options;
+  const encryptor = encryption ? createEncryptor(encryption) : null;
+  const writeMessages = encryptor ? html => writer.write(encryptor.update(html)) : html => writer.write(html);
+
+  try {
+    await writer.write(renderPageStart(metadata, Boolean(encryption)));
+    if (encryption) {
+      const media = options.encryptedMedia ? 'encrypted' : 'plain';
+      await writer.write(`    <script type="application/octet-stream" id="encryptedChat" data-salt="${encryption.salt.toString('base64')}" data-iterations="${encryption.iterations}" data-media="${media}">`);
+      await writeMessages(`    <span id="chatName" hidden>${escapeHtml(metadata.chatName)}</span>\n`);
+    }
+
+    const todayKey = getDateKeyInZone(metadata.timezone);
+    let currentDateKey = null;
+    for await (const msg of messages) {
+      // Add date divider whenever the day changes, with data-date attribute for jump-to-date functionality
+      const dateKey = getDateKey(msg.timestamp);
+      if (dateKey !== currentDateKey) {
+        currentDateKey = dateKey;
+        await writeMessages(`    <div class="date-divider" data-date="${dateKey}"><span>${formatDate(msg.timestamp, todayKey)}</span></div>\n\n`);
+      }
+
+      await writeMessages(generateMessageHtml(msg));
+    }
+
+    if (encryptor) {
+      await writer.write(`${encryptor.final()}</script>\n`);
+    }
+    await writer.write(renderPageEnd(Boolean(encryption)));
+  } finally {
+    await writer.close();
+  }
 
-  return htmlPath;
+  return { htmlPath, pages: 0 };
 }
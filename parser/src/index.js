@@ -1,179 +1,482 @@
-#!/usr/bin/env node
-
-import { readdir, writeFile, mkdir } from 'fs/promises';
-import { join, resolve, basename } from 'path';
-import { parseChatFile, extractMetadata } from './parser.js';
-import { getMediaFiles, copyMediaFiles, validateMediaReferences } from './mediaHandler.js';
+import { writeFile, mkdir, rename, rm } from 'fs/promises';
+import { join, basename, dirname } from 'path';
+import { detectChatFormat, parseChatStream, createMetadataCollector } from './parser.js';
+import {
+  getMediaFiles,
+  probeMediaFiles,
+  withMediaInfo,
+  createMediaSelector,
+  withMediaSelection,
+  copyMediaFiles,
+  encryptMediaFiles,
+  validateMediaReferences,
+  findUnreferencedMedia
+} from './mediaHandler.js';
 import { generateHtmlFile } from './htmlGenerator.js';
+import { generateMarkdownFile } from './markdownGenerator.js';
+import { generateTextFile } from './textGenerator.js';
+import { generateCsvFile } from './csvGenerator.js';
+import { generateSqliteFile, loadSqlite } from './sqliteGenerator.js';
+import { generateEpubFile } from './epubGenerator.js';
+import { writeJsonArray } from './fileWriter.js';
+import { openChatSource, getChatName } from './chatSource.js';
+import { loadAliasMap, withAliases, applyAliases, removeAliases, ALIASES_FILE_NAME } from './aliases.js';
+import { loadArchivedMessages, getArchivedMediaFiles, mergeMessages } from './merge.js';
+import { createParseReport, writeParseReport, REPORT_FILE_NAME } from './report.js';
+import { createEncryptionKeys } from './encryption.js';
 
 /**
- * Find all WhatsApp chat export directories
+ * WhatsApp Chat Parser - library API
+ *
+ *   import { exportChat, parseExport, buildViewer } from 'whatsapp-chat-parser';
+ *
+ *   const result = await exportChat('WhatsApp Chat - Family.zip', {
+ *     outputDir: 'output',
+ *     onProgress: event => console.log(event.type)
+ *   });
+ *
+ * Nothing is printed: progress is reported to options.onProgress as
+ * { type, chatName, ... } events, in this order:
+ *   phase     { phase: 'parse' }               - start of each phase (parse, media, then each output format)
+ *   format    { dateFormat, locale, timezone, systemMarkers }
+ *   aliases   { count }                        - participant aliases loaded
+ *   merge     { archived, added, present }     - only with options.merge
+ *   messages  { count }
+ *   metadata  { participants, dateRange }
+ *   media     { found, missing }               - missing: [{ messageId, filename }]
+ *   report    { summary, report }              - parse diagnostics (see report.js)
+ *   phase     { phase: 'media' }
+ *   copying   { done, total }                  - after each media file copied
+ *   copied    { copied, linked, skipped, duplicates, removed, excluded, encrypted, dir } - media files (see mediaHandler.js)
+ *   phase     { phase: 'html' }                - and 'markdown', 'text', 'csv', 'sqlite', 'epub' (see options.formats)
+ *   file      { path, pages }                  - each output file written (pages: paginated viewer only)
+ * Failures reject the returned promise.
+ *
+ * The command-line interface (cli.js) is built on these functions.
  */
-async function findChatDirectories(baseDir) {
-  const entries = await readdir(baseDir, { withFileTypes: true });
 
-  const chatDirs = [];
+const silentLogger = { log() {}, warn() {}, error() {} };
 
-  for (const entry of entries) {
-    if (entry.isDirectory() && entry.name.startsWith('WhatsApp Chat')) {
-      chatDirs.push(join(baseDir, entry.name));
-    }
+// Writers of the outputs besides the viewer, by format (see buildOutput)
+const OUTPUT_GENERATORS = {
+  markdown: generateMarkdownFile,
+  text: generateTextFile,
+  csv: generateCsvFile,
+  sqlite: generateSqliteFile,
+  epub: generateEpubFile
+};
+
+// Output formats exportChat can write: the HTML viewer and the others
+export const OUTPUT_FORMATS = ['html', ...Object.keys(OUTPUT_GENERATORS)];
+
+/**
+ * Check that output formats are known and can be written with this Node.js
+ * (sqlite needs 22.13+), before anything is written
+ * @param {string[]} formats
+ */
+export async function checkOutputFormats(formats) {
+  const unknownFormat = formats.find(format => !OUTPUT_FORMATS.includes(format));
+  if (unknownFormat) {
+    throw new Error(`Unknown output format "${unknownFormat}" (expected ${OUTPUT_FORMATS.join(', ')})`);
   }
+  if (formats.includes('sqlite')) {
+    await loadSqlite();
+  }
+}
 
-  return chatDirs;
+/**
+ * Alias files that apply to a chat export, lowest priority first:
+ * the global file, then "<export name>.aliases.json" next to the export,
+ * then aliases.json inside an extracted export folder (or next to a _chat.txt).
+ */
+function getAliasFiles(source, globalAliasesFile) {
+  const files = [globalAliasesFile];
+  if (source.type === 'file') {
+    files.push(join(dirname(source.path), ALIASES_FILE_NAME));
+    return files;
+  }
+  files.push(join(dirname(source.path), `${basename(source.path).replace(/\.zip$/i, '')}.aliases.json`));
+  if (source.type === 'directory') {
+    files.push(join(source.path, ALIASES_FILE_NAME));
+  }
+  return files;
 }
 
 /**
- * Process a single chat directory
+ * Pass streamed messages through while collecting metadata and media references
  */
-async function processChat(chatDir, outputBaseDir) {
-  console.log(`\nProcessing: ${basename(chatDir)}`);
-  console.log('='.repeat(60));
+async function* collectMessages(messages, metadataCollector, mediaMessages) {
+  for await (const msg of messages) {
+    metadataCollector.add(msg);
+    if (msg.media) {
+      mediaMessages.push({ id: msg.id, media: msg.media });
+    }
+    yield msg;
+  }
+}
 
-  const chatName = basename(chatDir).replace('WhatsApp Chat - ', '');
-  const chatFile = join(chatDir, '_chat.txt');
+/**
+ * Open an export and prepare everything needed to parse it
+ * Detects the date order and language, loads the participant aliases and
+ * finds and probes the media files (real type, size, image dimensions, duration).
+ */
+async function openChat(sourcePath, options, emit) {
+  const source = await openChatSource(sourcePath);
+  const chatFile = () => source.openChatStream();
+
+  // Detect date order and export language (one pass over the file)
+  const format = await detectChatFormat(chatFile, {
+    dateFormat: options.dateFormat,
+    locale: options.locale,
+    timezone: options.timezone
+  });
+  emit('format', format);
+
+  // Merge participant identities (global and per-chat alias files)
+  const globalAliasesFile = typeof options.aliasesFile === 'string'
+    ? { path: options.aliasesFile, required: true }
+    : options.aliasesFile || { path: join(dirname(sourcePath), ALIASES_FILE_NAME) };
+  const aliasMap = await loadAliasMap(getAliasFiles(source, globalAliasesFile));
+  emit('aliases', { count: aliasMap.size });
+
+  const mediaFiles = await getMediaFiles(source);
+  const mediaInfo = await probeMediaFiles(source, mediaFiles);
+
+  return {
+    source,
+    format,
+    aliasMap,
+    mediaFiles,
+    mediaInfo,
+    parseMessages: onIssue => withMediaInfo(
+      withAliases(parseChatStream(chatFile, { ...format, onIssue }), aliasMap),
+      mediaInfo
+    )
+  };
+}
 
-  // Create output directory for this chat
-  const outputDir = join(outputBaseDir, chatName.replace(/[^a-z0-9]/gi, '_'));
-  await mkdir(outputDir, { recursive: true });
-
-  try {
-    // Parse chat messages
-    console.log('Parsing messages...');
-    const messages = await parseChatFile(chatFile);
-    console.log(`✓ Parsed ${messages.length} messages`);
-
-    // Extract metadata
-    const metadata = extractMetadata(messages, chatName);
-    console.log(`✓ Found ${metadata.participants.length} participants`);
-    console.log(`✓ Date range: ${metadata.dateRange.start} to ${metadata.dateRange.end}`);
-
-    // Get media files
-    console.log('Processing media files...');
-    const mediaFiles = await getMediaFiles(chatDir);
-    console.log(`✓ Found ${mediaFiles.length} media files`);
-
-    // Validate media references
-    validateMediaReferences(messages, mediaFiles);
-
-    // Copy media files
-    await copyMediaFiles(chatDir, outputDir, mediaFiles);
-
-    // Write JSON files (for backup/reference)
-    console.log('Writing output files...');
-    await writeFile(
-      join(outputDir, 'chat-metadata.json'),
-      JSON.stringify(metadata, null, 2),
-      'utf-8'
-    );
-    console.log('✓ Wrote chat-metadata.json');
-
-    await writeFile(
-      join(outputDir, 'messages.json'),
-      JSON.stringify(messages, null, 2),
-      'utf-8'
-    );
-    console.log('✓ Wrote messages.json');
-
-    // Generate HTML file
-    console.log('Generating HTML...');
-    const htmlPath = await generateHtmlFile(messages, metadata, outputDir);
-    console.log(`✓ Generated ${basename(htmlPath)}`);
-
-    console.log(`\n✓ Successfully processed "${chatName}"`);
-    console.log(`  Output: ${outputDir}`);
-    console.log(`  Open: ${htmlPath}`);
-
-    return {
-      success: true,
-      chatName,
-      outputDir,
-      stats: {
-        messages: messages.length,
-        media: mediaFiles.length
-      }
-    };
-
-  } catch (error) {
-    console.error(`✗ Error processing ${chatName}:`, error.message);
-    return {
-      success: false,
-      chatName,
-      error: error.message
-    };
-  }
+/**
+ * Create the progress reporter for one chat
+ */
+function createEmitter(chatName, onProgress) {
+  return (type, data = {}) => {
+    if (onProgress) {
+      onProgress({ type, chatName, ...data });
+    }
+  };
 }
 
 /**
- * Main function
+ * Parse a chat export (folder, .zip or _chat.txt) into memory
+ * @param {string} sourcePath
+ * @param {Object} [options]
+ * @param {string} [options.dateFormat] - Date order: 'auto' (default), 'DMY', 'MDY' or 'YMD'
+ * @param {string} [options.locale] - Export language code or 'auto' (default)
+ * @param {string} [options.timezone] - Timezone the export was made in (default: this computer's)
+ * @param {string|{path: string, required: boolean}} [options.aliasesFile] - Global participant alias file (default: aliases.json next to the export)
+ * @param {Function} [options.onProgress] - Receives progress events
+ * @returns {Promise<{chatName, sourcePath, format, messages, metadata, mediaFiles, missingMedia, report}>}
  */
-async function main() {
-  console.log('WhatsApp Chat Parser');
-  console.log('='.repeat(60));
+export async function parseExport(sourcePath, options = {}) {
+  const chatName = getChatName(sourcePath);
+  const emit = createEmitter(chatName, options.onProgress);
+  const { format, mediaFiles, parseMessages } = await openChat(sourcePath, options, emit);
+  const report = createParseReport(chatName);
+
+  const metadataCollector = createMetadataCollector(chatName, { timezone: format.timezone });
+  const mediaMessages = [];
+  const messages = [];
+  for await (const msg of collectMessages(parseMessages(report.add), metadataCollector, mediaMessages)) {
+    messages.push(msg);
+  }
+  emit('messages', { count: messages.length });
 
-  // Get base directory (parent of parser directory)
-  const baseDir = resolve(process.cwd(), '..');
-  const outputBaseDir = join(process.cwd(), 'output');
+  const metadata = metadataCollector.result();
+  emit('metadata', { participants: metadata.participants, dateRange: metadata.dateRange });
 
-  console.log(`Base directory: ${baseDir}`);
-  console.log(`Output directory: ${outputBaseDir}\n`);
+  const missingMedia = validateMediaReferences(mediaMessages, mediaFiles, silentLogger);
+  emit('media', { found: mediaFiles.length, missing: missingMedia });
 
-  // Create output directory
-  await mkdir(outputBaseDir, { recursive: true });
+  report.setMedia(missingMedia, findUnreferencedMedia(mediaMessages, mediaFiles));
+  const parseReport = report.result();
+  emit('report', { summary: parseReport.summary, report: parseReport });
 
-  // Find chat directories
-  const chatDirs = await findChatDirectories(baseDir);
+  return { chatName, sourcePath, format, messages, metadata, mediaFiles, missingMedia, report: parseReport };
+}
 
-  if (chatDirs.length === 0) {
-    console.log('No WhatsApp chat exports found!');
-    console.log('Expected format: "WhatsApp Chat - [GroupName]" directory');
-    console.log('with a _chat.txt file inside.');
-    return;
+/**
+ * Build the HTML viewer (chat.html) for parsed messages
+ * Media is expected in outputDir/media (see exportChat).
+ * @param {Iterable|AsyncIterable} messages - Messages in chronological order
+ * @param {Object} metadata - Chat metadata (see parseExport)
+ * @param {Object} options
+ * @param {string} options.outputDir - Folder to write chat.html to
+ * @param {string} [options.passphrase] - Encrypt the messages; the page asks for this passphrase
+ * @param {Object} [options.encryptionKeys] - Keys from createEncryptionKeys, instead of a passphrase
+ * @param {boolean} [options.encryptedMedia] - Media in outputDir/media is encrypted with the same keys (see exportChat)
+ * @param {string|number} [options.paginate] - Split the viewer into one page per month ('month') or
+ *   per this many messages; chat.html then lists the months
+ * @param {Function} [options.onProgress] - Receives progress events
+ * @returns {Promise<{htmlPath: string, pages: number}>} pages is 0 for a single-page viewer
+ */
+export async function buildViewer(messages, metadata, options = {}) {
+  if (!options.outputDir) {
+    throw new Error('buildViewer needs options.outputDir');
   }
 
-  console.log(`Found ${chatDirs.length} chat(s) to process:\n`);
-  chatDirs.forEach((dir, i) => {
-    console.log(`${i + 1}. ${basename(dir)}`);
+  const encryption = options.encryptionKeys ||
+    (options.passphrase ? await createEncryptionKeys(options.passphrase) : null);
+
+  await mkdir(options.outputDir, { recursive: true });
+  const { htmlPath, pages } = await generateHtmlFile(messages, metadata, options.outputDir, {
+    encryption,
+    encryptedMedia: Boolean(encryption && options.encryptedMedia),
+    paginate: options.paginate
   });
+  createEmitter(metadata.chatName, options.onProgress)('file', { path: htmlPath, ...(pages > 0 && { pages }) });
+  return { htmlPath, pages };
+}
 
-  // Process each chat
-  const results = [];
-  for (const chatDir of chatDirs) {
-    const result = await processChat(chatDir, outputBaseDir);
-    results.push(result);
+/**
+ * Write an output other than the viewer for parsed messages: the transcripts
+ * chat.md ('markdown') and chat.txt ('text'), chat.csv ('csv', one row per
+ * message), chat.sqlite ('sqlite', needs Node.js 22.13+) or chat.epub ('epub')
+ * Attachments are linked into outputDir/media (see exportChat); the book embeds
+ * the photos found there.
+ * @param {Iterable|AsyncIterable} messages - Messages in chronological order
+ * @param {Object} metadata - Chat metadata (see parseExport)
+ * @param {Object} options
+ * @param {string} options.outputDir - Folder to write the file to
+ * @param {string} options.format - 'markdown', 'text', 'csv', 'sqlite' or 'epub'
+ * @param {boolean} [options.bom] - csv: start with a UTF-8 byte order mark (for Excel)
+ * @param {Function} [options.onProgress] - Receives progress events
+ * @returns {Promise<{path: string}>}
+ */
+export async function buildOutput(messages, metadata, options = {}) {
+  const generate = OUTPUT_GENERATORS[options.format];
+  if (!generate) {
+    throw new Error(`Unknown output format "${options.format}" (expected ${Object.keys(OUTPUT_GENERATORS).join(', ')})`);
+  }
+  if (!options.outputDir) {
+    throw new Error('buildOutput needs options.outputDir');
   }
 
-  // Summary
-  console.log('\n' + '='.repeat(60));
-  console.log('SUMMARY');
-  console.log('='.repeat(60));
+  await mkdir(options.outputDir, { recursive: true });
+  const path = await generate(messages, metadata, options.outputDir, { bom: options.bom });
+  createEmitter(metadata.chatName, options.onProgress)('file', { path });
+  return { path };
+}
 
-  const successful = results.filter(r => r.success);
-  const failed = results.filter(r => !r.success);
+/**
+ * Export a chat: messages.json, chat-metadata.json, media/ and chat.html (or the
+ * outputs chosen with options.formats)
+ * Messages are streamed from _chat.txt to messages.json and each output,
+ * so memory stays flat no matter how big the export is.
+ * @param {string} sourcePath - Export folder, .zip or _chat.txt
+ * @param {Object} [options] - Same as parseExport, plus:
+ * @param {string} [options.outputDir] - Base output folder; the chat gets its own subfolder (default: ./output)
+ * @param {string[]} [options.formats] - Outputs to write: 'html' (chat.html), 'markdown' (chat.md),
+ *   'text' (chat.txt), 'csv' (chat.csv), 'sqlite' (chat.sqlite),
+ *   'epub' (chat.epub) - default ['html']
+ * @param {boolean} [options.csvBom] - Start chat.csv with a UTF-8 byte order mark (for Excel)
+ * @param {string|number} [options.paginate] - Split the viewer by 'month' or per this many messages (see buildViewer)
+ * @param {boolean} [options.merge] - Merge into the existing messages.json instead of replacing it
+ * @param {boolean} [options.dryRun] - Parse and report without writing anything
+ * @param {string} [options.mediaMode] - How media gets into the output: 'copy' (default), 'hardlink' or 'symlink'
+ * @param {string[]} [options.includeMedia] - Only copy these media types: image, video, audio, contact, document
+ * @param {string[]} [options.excludeMedia] - Don't copy these media types
+ * @param {number} [options.maxMediaSize] - Don't copy files larger than this many bytes
+ * @param {number} [options.mediaBudget] - Stop copying media once this many bytes are used (in chat order)
+ *   Left out attachments are marked with media.excluded and shown as placeholders.
+ * @param {boolean} [options.strict] - Fail when the parse report lists any problem (not on warnings)
+ *   (parse-report.json is still written, messages.json and the viewer are not updated)
+ * @param {string} [options.passphrase] - Encrypt chat.html with this passphrase; no plaintext
+ *   messages.json, chat-metadata.json, parse-report.json or other output is written (earlier ones are deleted)
+ * @param {boolean} [options.encryptMedia] - With a passphrase, also encrypt the media files
+ * @returns {Promise<{chatName, sourcePath, outputDir, format, stats, metadata, missingMedia, report, files}>}
+ */
+export async function exportChat(sourcePath, options = {}) {
+  const chatName = getChatName(sourcePath);
+  const emit = createEmitter(chatName, options.onProgress);
+  const outputDir = join(options.outputDir || 'output', chatName.replace(/[^a-z0-9]/gi, '_'));
+  const files = {};
+  const formats = options.formats || ['html'];
+
+  await checkOutputFormats(formats);
+  if (options.passphrase && options.merge) {
+    throw new Error('Merge mode reads messages.json, which encrypted exports do not write');
+  }
+  if (options.passphrase && formats.some(format => format !== 'html')) {
+    throw new Error('Only chat.html can be encrypted: encrypted exports write no other output');
+  }
+  if (options.paginate && options.paginate !== 'month' && !(Number.isInteger(options.paginate) && options.paginate > 0)) {
+    throw new Error(`Invalid paginate option "${options.paginate}" (expected 'month' or a number of messages)`);
+  }
+  if (options.passphrase && options.paginate) {
+    throw new Error('A paginated viewer cannot be encrypted');
+  }
 
-  console.log(`\n✓ Successfully processed: ${successful.length}/${results.length} chats`);
+  emit('phase', { phase: 'parse' });
+  const { source, format, aliasMap, mediaFiles, mediaInfo, parseMessages } = await openChat(sourcePath, options, emit);
+  const mediaSelector = createMediaSelector(mediaInfo, options);
+  const report = createParseReport(chatName);
 
-  if (successful.length > 0) {
-    successful.forEach(r => {
-      console.log(`  - ${r.chatName}: ${r.stats.messages} messages, ${r.stats.media} media files`);
-    });
+  // Create output directory for this chat
+  if (!options.dryRun) {
+    await mkdir(outputDir, { recursive: true });
+  }
+
+  // Merge mode: keep the archived messages and add only what is new
+  const archivedMessages = options.merge
+    ? await loadArchivedMessages(join(outputDir, 'messages.json'))
+    : null;
+
+  let messages = onIssue => withMediaSelection(parseMessages(onIssue), mediaSelector);
+  let mergeStats = null;
+  if (archivedMessages) {
+    const incoming = [];
+    for await (const msg of parseMessages(report.add)) {
+      incoming.push(msg);
+    }
+
+    // Archived messages pick up the current alias files too
+    const archived = archivedMessages.map(msg => applyAliases(removeAliases(msg), aliasMap));
+    const merged = mergeMessages(archived, incoming);
+    messages = () => withMediaSelection(merged.messages, mediaSelector);
+    mergeStats = { added: merged.added, present: merged.present };
+    emit('merge', { archived: archivedMessages.length, ...mergeStats });
+  }
+
+  // Stream chat messages straight into messages.json (for backup/reference)
+  // It is written under a temporary name until the strict check has passed
+  const metadataCollector = createMetadataCollector(chatName, { timezone: format.timezone });
+  const mediaMessages = [];
+  const collected = collectMessages(messages(report.add), metadataCollector, mediaMessages);
+  const partialMessagesPath = join(outputDir, 'messages.json.partial');
+  let messageCount = 0;
+  if (options.dryRun || options.passphrase) {
+    // Nothing to write: just run the messages through the collectors
+    for await (const message of collected) {
+      messageCount++;
+    }
+  } else {
+    messageCount = await writeJsonArray(partialMessagesPath, collected);
+  }
+  emit('messages', { count: messageCount });
+
+  const metadata = metadataCollector.result();
+  emit('metadata', { participants: metadata.participants, dateRange: metadata.dateRange });
+
+  // Validate media references (archived messages may use media copied by earlier runs)
+  const availableMedia = archivedMessages
+    ? [...mediaFiles, ...await getArchivedMediaFiles(outputDir)]
+    : mediaFiles;
+  const missingMedia = validateMediaReferences(mediaMessages, availableMedia, silentLogger);
+  emit('media', { found: mediaFiles.length, missing: missingMedia });
+  const includedMedia = mediaFiles.filter(mediaSelector.isIncluded);
+  const excludedMedia = mediaFiles.filter(file => !mediaSelector.isIncluded(file));
+
+  report.setMedia(missingMedia, findUnreferencedMedia(mediaMessages, mediaFiles));
+  const parseReport = report.result();
+  emit('report', { summary: parseReport.summary, report: parseReport });
+
+  // Encrypted exports keep no plaintext copy of the chat (the report quotes lines too)
+  if (options.passphrase && !options.dryRun) {
+    await Promise.all(['messages.json', 'chat-metadata.json', REPORT_FILE_NAME, 'chat.md', 'chat.txt', 'chat.csv', 'chat.sqlite', 'chat.epub'].map(
+      name => rm(join(outputDir, name), { force: true })
+    ));
+  } else if (!options.dryRun) {
+    files.report = await writeParseReport(parseReport, outputDir);
+    emit('file', { path: files.report });
+  }
+
+  if (options.strict && parseReport.summary.problems > 0) {
+    await rm(partialMessagesPath, { force: true });
+    const details = options.passphrase ? 'not written for encrypted exports' : `see ${REPORT_FILE_NAME}`;
+    throw new Error(`Strict mode: ${parseReport.summary.problems} parse problems (${details})`);
   }
 
-  if (failed.length > 0) {
-    console.log(`\n✗ Failed: ${failed.length} chats`);
-    failed.forEach(r => {
-      console.log(`  - ${r.chatName}: ${r.error}`);
+  if (!options.dryRun && !options.passphrase) {
+    files.messages = join(outputDir, 'messages.json');
+    await rename(partialMessagesPath, files.messages);
+    emit('file', { path: files.messages });
+  }
+
+  const result = {
+    chatName,
+    sourcePath,
+    outputDir,
+    format,
+    stats: {
+      messages: messageCount,
+      participants: metadata.participants.length,
+      media: mediaFiles.length,
+      missingMedia: missingMedia.length,
+      excludedMedia: excludedMedia.length,
+      dateRange: metadata.dateRange,
+      ...(mergeStats && { merge: mergeStats })
+    },
+    metadata,
+    missingMedia,
+    report: parseReport,
+    files
+  };
+
+  if (options.dryRun) {
+    return result;
+  }
+
+  const encryption = options.passphrase ? await createEncryptionKeys(options.passphrase) : null;
+
+  emit('phase', { phase: 'media' });
+  const onCopyProgress = (done, total) => emit('copying', { done, total });
+  const storeDir = join(options.outputDir || 'output', '.media-store');
+  const mediaStats = encryption && options.encryptMedia
+    ? await encryptMediaFiles(source, outputDir, includedMedia, encryption, { storeDir, mediaInfo, onProgress: onCopyProgress })
+    : await copyMediaFiles(source, outputDir, includedMedia, {
+      mode: options.mediaMode,
+      storeDir,
+      remove: excludedMedia,
+      onProgress: onCopyProgress
     });
+  emit('copied', { ...mediaStats, excluded: excludedMedia.length, dir: join(outputDir, 'media') });
+
+  // Write metadata JSON (for backup/reference)
+  if (!encryption) {
+    files.metadata = join(outputDir, 'chat-metadata.json');
+    await writeFile(files.metadata, JSON.stringify(metadata, null, 2), 'utf-8');
+    emit('file', { path: files.metadata });
+  }
+
+  // Each output streams the messages again (a second pass over _chat.txt)
+  for (const format of formats) {
+    emit('phase', { phase: format });
+    if (format === 'html') {
+      const { htmlPath } = await buildViewer(messages(), metadata, {
+        outputDir,
+        encryptionKeys: encryption,
+        encryptedMedia: Boolean(options.encryptMedia),
+        paginate: options.paginate,
+        onProgress: options.onProgress
+      });
+      files.html = htmlPath;
+    } else {
+      const { path } = await buildOutput(messages(), metadata, {
+        outputDir,
+        format,
+        bom: options.csvBom,
+        onProgress: options.onProgress
+      });
+      files[format] = path;
+    }
   }
 
-  console.log(`\nOutput saved to: ${outputBaseDir}`);
-  console.log('\nTo view your chats:');
-  console.log('  1. Open the chat.html file in any browser');
-  console.log('  2. Or copy the folder to your phone and open chat.html there');
+  return result;
 }
 
-// Run
-main().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+export { parseChat, parseChatStream, detectChatFormat, extractMetadata, DATE_FORMATS } from './parser.js';
+export { registerLocale, listLocales } from './locales/index.js';
+export { openChatSource, findChatExports, getChatName } from './chatSource.js';
+export { loadAliasMap } from './aliases.js';
+export { watchExports } from './watcher.js';
+export { createEncryptionKeys } from './encryption.js';
@@ -0,0 +1,68 @@
+/**
+ * German locale pack
+ */
+export default {
+  code: 'de',
+  name: 'Deutsch',
+
+  // <Anhang: 00000012-PHOTO-2025-06-18.jpg>
+  attachedTags: ['Anhang'],
+
+  // IMG-20250618-WA0001.jpg (Datei angehängt)
+  fileAttachedLabels: ['Datei angehängt'],
+
+  mediaOmitted: [
+    'Bild weggelassen',
+    'Video weggelassen',
+    'Audio weggelassen',
+    'Sticker weggelassen',
+    'Dokument weggelassen',
+    'GIF weggelassen',
+    '<Medien ausgeschlossen>',
+    '<Medien weggelassen>'
+  ],
+
+  deletedMessages: ['Diese Nachricht wurde gelöscht', 'Du hast diese Nachricht gelöscht'],
+
+  editedMarkers: ['<Diese Nachricht wurde bearbeitet>'],
+
+  calls: {
+    missedVoice: ['Verpasster Sprachanruf'],
+    missedVideo: ['Verpasster Videoanruf'],
+    voice: ['Sprachanruf'],
+    video: ['Videoanruf']
+  },
+
+  locationLabels: ['Standort'],
+  liveLocation: ['Live-Standort wird geteilt'],
+
+  poll: { header: 'UMFRAGE:', option: 'OPTION:', votes: ['Stimmen', 'Stimme'] },
+
+  viewOnce: {
+    image: ['Einmalansicht-Foto weggelassen'],
+    video: ['Einmalansicht-Video weggelassen'],
+    audio: ['Einmalansicht-Sprachnachricht weggelassen']
+  },
+
+  events: [
+    { type: 'group_created', pattern: /^(?<actor>[^:]+?) hat die Gruppe(?: „(?<subject>.*)“)? erstellt$/ },
+    { type: 'subject_changed', pattern: /^(?<actor>[^:]+?) hat den Betreff (?:von „(?<from>.*)“ )?zu „(?<to>.*)“ geändert$/ },
+    { type: 'member_added', pattern: /^(?<actor>[^:]+?) hat (?<targets>.+) hinzugefügt$/ },
+    { type: 'member_removed', pattern: /^(?<actor>[^:]+?) hat (?<targets>.+) entfernt$/ },
+    { type: 'member_left', pattern: /^(?<actor>[^:]+?) hat die Gruppe verlassen$/ },
+    { type: 'joined_via_link', pattern: /^(?<actor>[^:]+?) ist der Gruppe über den Einladungslink beigetreten$/ },
+    { type: 'icon_changed', pattern: /^(?<actor>[^:]+?) hat das Gruppenbild geändert$/ },
+    { type: 'encryption_notice', pattern: /^Nachrichten und Anrufe sind Ende-zu-Ende-verschlüsselt/ }
+  ],
+  listSeparators: [', ', ' und '],
+
+  systemMessages: [
+    'hat die Gruppe erstellt',
+    'hat dich hinzugefügt',
+    'hat die Gruppe verlassen',
+    'entfernt',
+    'hat den Betreff',
+    'hat das Gruppenbild geändert',
+    'Nachrichten und Anrufe sind Ende-zu-Ende-verschlüsselt'
+  ]
+};
@@ -0,0 +1,82 @@
+/**
+ * English locale pack
+ */
+export default {
+  code: 'en',
+  name: 'English',
+
+  // <attached: 00000012-PHOTO-2025-06-18.jpg>
+  attachedTags: ['attached'],
+
+  // IMG-20250618-WA0001.jpg (file attached)
+  fileAttachedLabels: ['file attached'],
+
+  // Placeholders written when exporting without media
+  mediaOmitted: [
+    'image omitted',
+    'video omitted',
+    'audio omitted',
+    'sticker omitted',
+    'document omitted',
+    'GIF omitted',
+    '<Media omitted>'
+  ],
+
+  // Placeholders for deleted messages
+  deletedMessages: ['This message was deleted', 'You deleted this message'],
+
+  // Appended to messages edited after sending
+  editedMarkers: ['<This message was edited>'],
+
+  // Call log entries ("Missed voice call", "Voice call. 12 min")
+  calls: {
+    missedVoice: ['Missed voice call', 'Missed group voice call'],
+    missedVideo: ['Missed video call', 'Missed group video call'],
+    voice: ['Voice call', 'Group voice call'],
+    video: ['Video call', 'Group video call']
+  },
+
+  // "location: https://maps.google.com/?q=12.97,77.59"
+  locationLabels: ['location'],
+  liveLocation: ['Live location shared'],
+
+  // POLL: / Question / OPTION: Answer (2 votes)
+  poll: { header: 'POLL:', option: 'OPTION:', votes: ['votes', 'vote'] },
+
+  // View once media placeholders, by media type
+  viewOnce: {
+    image: ['view once photo omitted', '<View once photo>'],
+    video: ['view once video omitted', '<View once video>'],
+    audio: ['view once voice message omitted', '<View once voice message>']
+  },
+
+  // Structured group events, tried in order
+  // Named groups: actor, targets (split on listSeparators), from, to, subject
+  events: [
+    { type: 'group_created', pattern: /^(?<actor>[^:]+?) created (?:this )?group(?: "(?<subject>.*)")?$/ },
+    { type: 'subject_changed', pattern: /^(?<actor>[^:]+?) changed the subject (?:from "(?<from>.*)" )?to "(?<to>.*)"$/ },
+    { type: 'member_added', pattern: /^(?<actor>[^:]+?) added (?<targets>.+)$/ },
+    { type: 'member_removed', pattern: /^(?<actor>[^:]+?) removed (?<targets>.+)$/ },
+    { type: 'member_left', pattern: /^(?<actor>[^:]+?) left$/ },
+    { type: 'joined_via_link', pattern: /^(?<actor>[^:]+?) joined using this group's invite link$/ },
+    { type: 'icon_changed', pattern: /^(?<actor>[^:]+?) changed this group's icon$/ },
+    { type: 'icon_removed', pattern: /^(?<actor>[^:]+?) deleted this group's icon$/ },
+    { type: 'description_changed', pattern: /^(?<actor>[^:]+?) changed the group description$/ },
+    { type: 'admin_promoted', pattern: /^(?<targets>[^:]+?)(?: is| are|'re) now an admin$/ },
+    { type: 'admin_demoted', pattern: /^(?<targets>[^:]+?)(?: is| are|'re) no longer an admin$/ },
+    { type: 'number_changed', pattern: /^(?<actor>[^:]+?) changed (?:their|his|her) phone number/ },
+    { type: 'encryption_notice', pattern: /^Messages and calls are end-to-end encrypted/ }
+  ],
+  listSeparators: [', ', ' and '],
+
+  // Substrings identifying other system messages
+  systemMessages: [
+    'created this group',
+    'added you',
+    'left',
+    'removed',
+    'changed the subject',
+    'changed this group\'s icon',
+    'Messages and calls are end-to-end encrypted'
+  ]
+};
@@ -0,0 +1,67 @@
+/**
+ * Spanish locale pack
+ */
+export default {
+  code: 'es',
+  name: 'Español',
+
+  // <adjunto: 00000012-PHOTO-2025-06-18.jpg>
+  attachedTags: ['adjunto'],
+
+  // IMG-20250618-WA0001.jpg (archivo adjunto)
+  fileAttachedLabels: ['archivo adjunto'],
+
+  mediaOmitted: [
+    'imagen omitida',
+    'video omitido',
+    'audio omitido',
+    'sticker omitido',
+    'documento omitido',
+    'GIF omitido',
+    '<Multimedia omitido>'
+  ],
+
+  deletedMessages: ['Se eliminó este mensaje', 'Eliminaste este mensaje'],
+
+  editedMarkers: ['<Se editó este mensaje.>'],
+
+  calls: {
+    missedVoice: ['Llamada perdida'],
+    missedVideo: ['Videollamada perdida'],
+    voice: ['Llamada de voz'],
+    video: ['Videollamada']
+  },
+
+  locationLabels: ['ubicación'],
+  liveLocation: ['Ubicación en tiempo real compartida'],
+
+  poll: { header: 'ENCUESTA:', option: 'OPCIÓN:', votes: ['votos', 'voto'] },
+
+  viewOnce: {
+    image: ['foto de visualización única omitida'],
+    video: ['video de visualización única omitido'],
+    audio: ['mensaje de voz de visualización única omitido']
+  },
+
+  events: [
+    { type: 'group_created', pattern: /^(?<actor>[^:]+?) creó el grupo(?: "(?<subject>.*)")?$/ },
+    { type: 'subject_changed', pattern: /^(?<actor>[^:]+?) cambió el asunto (?:de "(?<from>.*)" )?a "(?<to>.*)"$/ },
+    { type: 'member_added', pattern: /^(?<actor>[^:]+?) añadió a (?<targets>.+)$/ },
+    { type: 'member_removed', pattern: /^(?<actor>[^:]+?) eliminó a (?<targets>.+)$/ },
+    { type: 'member_left', pattern: /^(?<actor>[^:]+?) salió del grupo$/ },
+    { type: 'joined_via_link', pattern: /^(?<actor>[^:]+?) se unió usando el enlace de invitación de este grupo$/ },
+    { type: 'icon_changed', pattern: /^(?<actor>[^:]+?) cambió el ícono de este grupo$/ },
+    { type: 'encryption_notice', pattern: /^Los mensajes y las llamadas están cifrados de extremo a extremo/ }
+  ],
+  listSeparators: [', ', ' y '],
+
+  systemMessages: [
+    'creó el grupo',
+    'te añadió',
+    'salió del grupo',
+    'eliminó a',
+    'cambió el asunto',
+    'cambió el ícono de este grupo',
+    'Los mensajes y las llamadas están cifrados de extremo a extremo'
+  ]
+};
@@ -0,0 +1,61 @@
+/**
+ * Hindi locale pack
+ */
+export default {
+  code: 'hi',
+  name: 'हिन्दी',
+
+  // <संलग्न: 00000012-PHOTO-2025-06-18.jpg>
+  attachedTags: ['संलग्न'],
+
+  // IMG-20250618-WA0001.jpg (फ़ाइल संलग्न)
+  fileAttachedLabels: ['फ़ाइल संलग्न', 'फाइल संलग्न'],
+
+  mediaOmitted: [
+    'फ़ोटो छोड़ी गई',
+    'वीडियो छोड़ा गया',
+    'ऑडियो छोड़ा गया',
+    'स्टिकर छोड़ा गया',
+    'दस्तावेज़ छोड़ा गया',
+    '<मीडिया के बिना>',
+    '<मीडिया छोड़ दिया गया>'
+  ],
+
+  deletedMessages: ['यह संदेश हटा दिया गया था', 'आपने यह संदेश हटा दिया'],
+
+  editedMarkers: ['<यह संदेश संपादित किया गया था>'],
+
+  calls: {
+    missedVoice: ['मिस्ड वॉइस कॉल'],
+    missedVideo: ['मिस्ड वीडियो कॉल'],
+    voice: ['वॉइस कॉल'],
+    video: ['वीडियो कॉल']
+  },
+
+  locationLabels: ['लोकेशन', 'स्थान'],
+  liveLocation: ['लाइव लोकेशन शेयर की गई'],
+
+  poll: { header: 'पोल:', option: 'विकल्प:', votes: ['वोट'] },
+
+  events: [
+    { type: 'group_created', pattern: /^(?<actor>[^:]+?) ने यह समूह बनाया$/ },
+    { type: 'subject_changed', pattern: /^(?<actor>[^:]+?) ने विषय (?:"(?<from>.*)" से )?बदलकर "(?<to>.*)" किया$/ },
+    { type: 'member_added', pattern: /^(?<actor>[^:]+?) ने (?<targets>.+) को जोड़ा$/ },
+    { type: 'member_removed', pattern: /^(?<actor>[^:]+?) ने (?<targets>.+) को हटाया$/ },
+    { type: 'member_left', pattern: /^(?<actor>[^:]+?) (?:ने समूह छोड़ दिया|चले गए)$/ },
+    { type: 'icon_changed', pattern: /^(?<actor>[^:]+?) ने इस समूह का आइकन बदला$/ },
+    { type: 'encryption_notice', pattern: /^संदेश और कॉल एंड-टू-एंड एन्क्रिप्टेड हैं/ }
+  ],
+  listSeparators: [', ', ' और '],
+
+  systemMessages: [
+    'ने यह समूह बनाया',
+    'ने आपको जोड़ा',
+    'ने समूह छोड़ दिया',
+    'चले गए',
+    'ने हटाया',
+    'ने विषय बदला',
+    'ने इस समूह का आइकन बदला',
+    'संदेश और कॉल एंड-टू-एंड एन्क्रिप्टेड हैं'
+  ]
+};
@@ -0,0 +1,233 @@
+import en from './en.js';
+import es from './es.js';
+import pt from './pt.js';
+import de from './de.js';
+import hi from './hi.js';
+import { MEDIA_EXTENSIONS } from '../mediaTypes.js';
+
+/**
+ * Locale packs for system messages and media markers
+ *
+ * A locale pack is a plain object:
+ *   {
+ *     code: 'xx',                 // unique language code
+ *     name: 'Language',           // display name
+ *     attachedTags: [...],        // "<tag: file.ext>" (iOS)
+ *     fileAttachedLabels: [...],  // "file.ext (label)" (Android)
+ *     mediaOmitted: [...],        // placeholders for media left out of the export
+ *     systemMessages: [...],      // substrings identifying other system messages
+ *
+ *     // Optional - structured group events, tried in order
+ *     events: [{ type: 'member_added', pattern: /^(?<actor>[^:]+?) added (?<targets>.+)$/ }, ...],
+ *     listSeparators: [...],      // separators between event targets (", ", " and ")
+ *
+ *     // Optional - message kinds the pack does not list are treated as text
+ *     deletedMessages: [...],     // "This message was deleted"
+ *     editedMarkers: [...],       // "<This message was edited>" appended to edited messages
+ *     calls: { missedVoice, missedVideo, voice, video },  // call log entries (prefixes)
+ *     locationLabels: [...],      // "label: https://maps..."
+ *     liveLocation: [...],        // "Live location shared"
+ *     poll: { header, option, votes },  // "POLL:" / "OPTION: Answer (2 votes)"
+ *     viewOnce: { image, video, audio } // view once media placeholders
+ *   }
+ *
+ * Add a new language with registerLocale(pack) - the parser picks it up automatically.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+// Extensions recognized in "file.ext (file attached)" lines
+const ATTACHMENT_EXTENSIONS = MEDIA_EXTENSIONS.join('|');
+
+const REQUIRED_FIELDS = ['attachedTags', 'fileAttachedLabels', 'mediaOmitted', 'systemMessages'];
+
+// Registered locales by code (insertion order is the detection tie-breaker)
+const locales = new Map();
+
+/**
+ * Escape special regex characters in a literal string
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build an alternation of literal strings for use inside a regex
+ */
+function alternation(strings) {
+  return strings.map(escapeRegex).join('|');
+}
+
+/**
+ * Build a case-insensitive regex from a template, or null when the pack has no strings for it
+ */
+function optionalPattern(strings = [], template) {
+  return strings.length > 0 ? new RegExp(template(alternation(strings)), 'i') : null;
+}
+
+/**
+ * Compile call log prefixes, missed calls first so they win over plain calls
+ */
+function compileCallPatterns(calls = {}) {
+  const kinds = [
+    { key: 'missedVoice', kind: 'voice', missed: true },
+    { key: 'missedVideo', kind: 'video', missed: true },
+    { key: 'voice', kind: 'voice', missed: false },
+    { key: 'video', kind: 'video', missed: false }
+  ];
+
+  return kinds
+    .filter(({ key }) => calls[key]?.length > 0)
+    .map(({ key, kind, missed }) => ({
+      kind,
+      missed,
+      pattern: optionalPattern(calls[key], phrases => `^(?:${phrases})(?=$|[\\s.,])[.,]?\\s*(.*)$`)
+    }));
+}
+
+/**
+ * Compile a locale pack's strings into the regexes used by the parser
+ */
+function compileLocale(pack) {
+  const poll = pack.poll;
+  const viewOnce = pack.viewOnce || {};
+
+  return {
+    ...pack,
+    attachedPattern: new RegExp(`<(?:${alternation(pack.attachedTags)}): (.+?)>`),
+    fileAttachedPattern: new RegExp(`^(.+?\\.(${ATTACHMENT_EXTENSIONS})) \\((?:${alternation(pack.fileAttachedLabels)})\\)`, 'i'),
+    mediaOmittedPattern: new RegExp(alternation(pack.mediaOmitted), 'i'),
+    deletedPattern: optionalPattern(pack.deletedMessages, phrases => `^(?:${phrases})\\.?$`),
+    editedPattern: optionalPattern(pack.editedMarkers, phrases => `\\s*(?:${phrases})\\s*$`),
+    callPatterns: compileCallPatterns(pack.calls),
+    locationPattern: optionalPattern(pack.locationLabels, labels => `^(?:${labels}): (\\S+)`),
+    liveLocationPattern: optionalPattern(pack.liveLocation, phrases => `^(?:${phrases})`),
+    pollHeaderPattern: poll ? optionalPattern([poll.header], header => `^${header}\\s*`) : null,
+    pollOptionPattern: poll
+      ? optionalPattern([poll.option], option => `^${option}\\s*(.+?)\\s*\\((\\d+)\\s*(?:${alternation(poll.votes)})\\)$`)
+      : null,
+    events: pack.events || [],
+    listSeparatorPattern: optionalPattern(pack.listSeparators, separators => separators),
+    viewOncePatterns: ['image', 'video', 'audio']
+      .filter(mediaType => viewOnce[mediaType]?.length > 0)
+      .map(mediaType => ({ mediaType, pattern: optionalPattern(viewOnce[mediaType], phrases => phrases) }))
+  };
+}
+
+/**
+ * Register a locale pack (replaces an existing pack with the same code)
+ */
+export function registerLocale(pack) {
+  if (!pack || typeof pack.code !== 'string' || !pack.code) {
+    throw new Error('Locale pack must have a "code"');
+  }
+
+  for (const field of REQUIRED_FIELDS) {
+    if (!Array.isArray(pack[field]) || pack[field].length === 0) {
+      throw new Error(`Locale pack "${pack.code}" must have a non-empty "${field}" array`);
+    }
+  }
+
+  for (const event of pack.events || []) {
+    if (typeof event.type !== 'string' || !(event.pattern instanceof RegExp)) {
+      throw new Error(`Locale pack "${pack.code}" has an invalid event (expected { type, pattern: RegExp })`);
+    }
+  }
+
+  const compiled = compileLocale(pack);
+  locales.set(pack.code, compiled);
+  return compiled;
+}
+
+/**
+ * Get a compiled locale pack by code
+ */
+export function getLocale(code) {
+  const locale = locales.get(code);
+  if (!locale) {
+    throw new Error(`Unknown locale "${code}" (available: ${listLocales().join(', ')})`);
+  }
+  return locale;
+}
+
+/**
+ * List registered locale codes
+ */
+export function listLocales() {
+  return Array.from(locales.keys());
+}
+
+/**
+ * Check whether a message body contains one of a locale's markers
+ */
+function hasLocaleMarker(locale, body) {
+  return locale.attachedPattern.test(body) ||
+    locale.fileAttachedPattern.test(body) ||
+    locale.mediaOmittedPattern.test(body) ||
+    Boolean(locale.deletedPattern?.test(body)) ||
+    Boolean(locale.editedPattern?.test(body)) ||
+    locale.systemMessages.some(indicator => body.includes(indicator));
+}
+
+/**
+ * Create a detector for the export language
+ * Feed it message bodies with add(), then call result() for the code of the locale
+ * whose markers appear most often (DEFAULT_LOCALE if none do).
+ */
+export function createLocaleDetector() {
+  const scores = new Map();
+
+  return {
+    add(body) {
+      for (const locale of locales.values()) {
+        if (hasLocaleMarker(locale, body)) {
+          scores.set(locale.code, (scores.get(locale.code) || 0) + 1);
+        }
+      }
+    },
+
+    result() {
+      let bestCode = DEFAULT_LOCALE;
+      let bestScore = 0;
+
+      // Registration order breaks ties
+      for (const { code } of locales.values()) {
+        const score = scores.get(code) || 0;
+        if (score > bestScore) {
+          bestCode = code;
+          bestScore = score;
+        }
+      }
+
+      return bestCode;
+    }
+  };
+}
+
+/**
+ * Detect the export language from a list of message bodies
+ */
+export function detectLocale(bodies) {
+  const detector = createLocaleDetector();
+  bodies.forEach(body => detector.add(body));
+  return detector.result();
+}
+
+/**
+ * Remove attachment markers of every registered locale from message text
+ * ("<attached: ...>", "file.ext (file attached)" and their translations)
+ */
+export function stripAttachmentMarkers(text) {
+  let result = text;
+
+  for (const locale of locales.values()) {
+    result = result
+      .replace(new RegExp(locale.attachedPattern.source, 'g'), '')
+      .replace(new RegExp(locale.fileAttachedPattern.source, 'gi'), '');
+  }
+
+  return result;
+}
+
+// Built-in locales
+[en, es, pt, de, hi].forEach(registerLocale);
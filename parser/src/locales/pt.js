@@ -0,0 +1,67 @@
+/**
+ * Portuguese locale pack
+ */
+export default {
+  code: 'pt',
+  name: 'Português',
+
+  // <anexado: 00000012-PHOTO-2025-06-18.jpg>
+  attachedTags: ['anexado'],
+
+  // IMG-20250618-WA0001.jpg (arquivo anexado)
+  fileAttachedLabels: ['arquivo anexado'],
+
+  mediaOmitted: [
+    'imagem ocultada',
+    'vídeo omitido',
+    'áudio ocultado',
+    'figurinha omitida',
+    'documento omitido',
+    'GIF omitido',
+    '<Arquivo de mídia oculto>'
+  ],
+
+  deletedMessages: ['Mensagem apagada', 'Você apagou esta mensagem'],
+
+  editedMarkers: ['<Mensagem editada>'],
+
+  calls: {
+    missedVoice: ['Chamada de voz perdida'],
+    missedVideo: ['Chamada de vídeo perdida'],
+    voice: ['Chamada de voz'],
+    video: ['Chamada de vídeo']
+  },
+
+  locationLabels: ['localização'],
+  liveLocation: ['Localização em tempo real compartilhada'],
+
+  poll: { header: 'ENQUETE:', option: 'OPÇÃO:', votes: ['votos', 'voto'] },
+
+  viewOnce: {
+    image: ['foto de visualização única ocultada'],
+    video: ['vídeo de visualização única ocultado'],
+    audio: ['mensagem de voz de visualização única ocultada']
+  },
+
+  events: [
+    { type: 'group_created', pattern: /^(?<actor>[^:]+?) criou o grupo(?: "(?<subject>.*)")?$/ },
+    { type: 'subject_changed', pattern: /^(?<actor>[^:]+?) mudou o assunto (?:de "(?<from>.*)" )?para "(?<to>.*)"$/ },
+    { type: 'member_added', pattern: /^(?<actor>[^:]+?) adicionou (?<targets>.+)$/ },
+    { type: 'member_removed', pattern: /^(?<actor>[^:]+?) removeu (?<targets>.+)$/ },
+    { type: 'member_left', pattern: /^(?<actor>[^:]+?) saiu$/ },
+    { type: 'joined_via_link', pattern: /^(?<actor>[^:]+?) entrou usando o link de convite deste grupo$/ },
+    { type: 'icon_changed', pattern: /^(?<actor>[^:]+?) mudou a imagem deste grupo$/ },
+    { type: 'encryption_notice', pattern: /^As mensagens e as chamadas são protegidas com a criptografia de ponta a ponta/ }
+  ],
+  listSeparators: [', ', ' e '],
+
+  systemMessages: [
+    'criou o grupo',
+    'adicionou você',
+    'saiu',
+    'removeu',
+    'mudou o assunto',
+    'mudou a imagem deste grupo',
+    'As mensagens e as chamadas são protegidas com a criptografia de ponta a ponta'
+  ]
+};
@@ -0,0 +1,105 @@
+import { join } from 'path';
+import { openFileWriter } from './fileWriter.js';
+import { getLocalDateKey } from './timezone.js';
+import {
+  formatLongDate,
+  formatClockTime,
+  getChatSummary,
+  getMessageText,
+  describeSpecialMessage,
+  getMediaPath,
+  getMediaLabel,
+  findUrls
+} from './messageFormat.js';
+
+/**
+ * Generate a Markdown transcript (chat.md) from parsed messages
+ * Readable as plain text and rendered by any Markdown viewer: one heading per
+ * day, images shown inline and other attachments linked into media/.
+ */
+
+/**
+ * Escape text so Markdown shows it as written
+ * URLs become autolinks instead (escapes inside them would end up in the link).
+ */
+function escapeMarkdown(text) {
+  const escape = part => part
+    .replace(/[\\`*_[\]<>~|&]/g, '\\$&')
+    .replace(/^(\s*)([#+=-])/gm, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])/gm, '$1\\$2');
+
+  let result = '';
+  let lastIndex = 0;
+  for (const { url, index } of findUrls(text)) {
+    result += `${escape(text.slice(lastIndex, index))}<${url}>`;
+    lastIndex = index + url.length;
+  }
+  return result + escape(text.slice(lastIndex));
+}
+
+/**
+ * Markdown for a message's attachment: an inline image or a link into media/
+ */
+function generateMediaMarkdown(message) {
+  const label = escapeMarkdown(getMediaLabel(message));
+  if (message.media.excluded) {
+    return `${label} · _not included in this export_`;
+  }
+  const link = `(<${getMediaPath(message.media)}>)`;
+  return message.media.mediaType === 'image' ? `![${label}]${link}` : `[${label}]${link}`;
+}
+
+/**
+ * Generate message Markdown: a paragraph with the sender and time on the first
+ * line, hard line breaks between the lines of the message
+ */
+function generateMessageMarkdown(message) {
+  const time = formatClockTime(message.timestamp);
+
+  if (message.type === 'system') {
+    return `_${time} · ${escapeMarkdown(getMessageText(message))}_\n\n`;
+  }
+
+  const lines = [`**${escapeMarkdown(message.sender)}** · ${time}${message.edited ? ' · _edited_' : ''}`];
+  if (message.media && message.media.filename) {
+    lines.push(generateMediaMarkdown(message));
+  }
+  const special = describeSpecialMessage(message);
+  const text = special.length > 0 ? special.join('\n') : getMessageText(message);
+  if (text) {
+    lines.push(...escapeMarkdown(text).split('\n'));
+  }
+
+  return `${lines.join('  \n')}\n\n`;
+}
+
+/**
+ * Write chat.md to outputDir
+ * @param {Iterable|AsyncIterable} messages - Messages in chronological order
+ * @param {Object} metadata - Chat metadata (see parseExport)
+ * @param {string} outputDir
+ * @returns {Promise<string>} Path of the written file
+ */
+export async function generateMarkdownFile(messages, metadata, outputDir) {
+  const markdownPath = join(outputDir, 'chat.md');
+  const writer = openFileWriter(markdownPath);
+
+  try {
+    await writer.write(`# ${escapeMarkdown(metadata.chatName)}\n\n${escapeMarkdown(getChatSummary(metadata))}\n\n`);
+
+    let currentDateKey = null;
+    for await (const msg of messages) {
+      const dateKey = getLocalDateKey(msg.timestamp);
+      if (dateKey !== currentDateKey) {
+        currentDateKey = dateKey;
+        await writer.write(`## ${formatLongDate(msg.timestamp)}\n\n`);
+      }
+
+      await writer.write(generateMessageMarkdown(msg));
+    }
+  } finally {
+    await writer.close();
+  }
+
+  return markdownPath;
+}
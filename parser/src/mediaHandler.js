@@ -1,55 +1,491 @@
-import { readdir, copyFile, mkdir } from 'fs/promises';
-import { join, extname } from 'path';
+import { mkdir, readFile, writeFile, lstat, link, symlink, copyFile, rename, rm, rmdir } from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import { createHash, randomUUID } from 'crypto';
+import { join, dirname, extname } from 'path';
+import { hasMediaExtension, detectMediaType, getMediaTypeFromName, SNIFF_LENGTH, MEDIA_TYPES } from './mediaTypes.js';
+import { readImageSize, canReadImageSize, createDurationReader, MAX_HEADER_LENGTH } from './mediaInfo.js';
+import { mapConcurrent } from './concurrency.js';
+import { createEncryptor, getEncryptedMediaId } from './encryption.js';
+import { openFileWriter } from './fileWriter.js';
+
+// Media files read or copied at once
+const MEDIA_CONCURRENCY = 8;
 
 /**
- * Get all media files from the chat export directory
+ * Read the first bytes of a file in the export, enough to sniff its type
  */
-export async function getMediaFiles(chatDir) {
-  const files = await readdir(chatDir);
+async function readFileHeader(source, file) {
+  const chunks = [];
+  let length = 0;
 
-  // Filter out the _chat.txt file and only keep media files
-  const mediaFiles = files.filter(file => {
-    if (file === '_chat.txt' || file.startsWith('.')) {
-      return false;
-    }
+  for await (const chunk of await source.openFileStream(file)) {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length >= SNIFF_LENGTH) break;
+  }
 
-    const ext = extname(file).toLowerCase();
-    const mediaExtensions = [
-      '.jpg', '.jpeg', '.png', '.gif', '.webp',  // images
-      '.mp4', '.avi', '.mov', '.mkv',            // videos
-      '.opus', '.mp3', '.ogg', '.aac', '.m4a',   // audio
-      '.pdf', '.doc', '.docx', '.xls', '.xlsx'   // documents
-    ];
+  return Buffer.concat(chunks, length);
+}
 
-    return mediaExtensions.includes(ext);
-  });
+/**
+ * Get all media files from the chat export (folder or .zip, see chatSource.js)
+ * Files with a known media extension are included; others (no extension,
+ * unusual ones) only when their content is recognized as media.
+ */
+export async function getMediaFiles(source) {
+  const files = await source.listFiles();
+  const mediaFiles = [];
+
+  for (const file of files) {
+    // Skip the chat text file and hidden files
+    if (file === source.chatFileName || file.startsWith('.')) {
+      continue;
+    }
+
+    if (hasMediaExtension(file) || detectMediaType(await readFileHeader(source, file), file)) {
+      mediaFiles.push(file);
+    }
+  }
 
   return mediaFiles;
 }
 
+/**
+ * Probe one media file while streaming it once: the type from its first
+ * bytes, then the image size or the recording's duration
+ */
+async function probeMediaFile(source, file) {
+  const chunks = [];
+  let length = 0;
+  let detected = null;
+  let dimensions = null;
+  let durationReader = null;
+
+  for await (const chunk of await source.openFileStream(file)) {
+    if (durationReader) {
+      if (durationReader.push(chunk)) break;
+      continue;
+    }
+
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length < SNIFF_LENGTH) continue;
+
+    const header = Buffer.concat(chunks, length);
+    detected = detectMediaType(header, file);
+    if (detected && canReadImageSize(detected.mimeType)) {
+      dimensions = readImageSize(header, detected.mimeType);
+      if (dimensions || length >= MAX_HEADER_LENGTH) break;
+    } else if (detected && (durationReader = createDurationReader(detected.mimeType))) {
+      if (durationReader.push(header)) break;
+    } else {
+      break;
+    }
+  }
+
+  // Files shorter than the sniffing length
+  if (length < SNIFF_LENGTH) {
+    const header = Buffer.concat(chunks, length);
+    detected = detectMediaType(header, file);
+    dimensions = detected && canReadImageSize(detected.mimeType) ? readImageSize(header, detected.mimeType) : null;
+  }
+
+  const info = { ...(detected || getMediaTypeFromName(file)), fileSize: await source.getFileSize(file), ...dimensions };
+  const duration = durationReader && durationReader.result();
+  if (duration) {
+    info.duration = Math.round(duration * 1000) / 1000;
+  }
+  return info;
+}
+
+/**
+ * Probe each media file: its real type (from the content, falling back to the
+ * extension), its size in bytes, the width and height of images and the
+ * duration (in seconds) of audio and video
+ * @returns {Promise<Map<string, {mediaType: string, mimeType: string, fileSize: number, width?: number, height?: number, duration?: number}>>}
+ */
+export async function probeMediaFiles(source, mediaFiles) {
+  const probed = await mapConcurrent(mediaFiles, MEDIA_CONCURRENCY, file => probeMediaFile(source, file));
+  return new Map(mediaFiles.map((file, i) => [file, probed[i]]));
+}
+
+/**
+ * Add the probed media details to streamed messages
+ * Messages only know the attachment's file name; its content decides the type.
+ */
+export async function* withMediaInfo(messages, mediaInfo) {
+  for await (const message of messages) {
+    const probed = message.media && mediaInfo.get(message.media.filename);
+    yield probed ? { ...message, media: { ...message.media, ...probed } } : message;
+  }
+}
+
+/**
+ * Media selection
+ * Decides which media files go into the output: by type (includeMedia,
+ * excludeMedia), by size per file (maxMediaSize) and by a total size budget
+ * (mediaBudget), which is filled in chat order - a file that does not fit is
+ * left out, smaller ones after it may still be included. Attachments that are
+ * left out stay in their messages with media.excluded set to 'type', 'size'
+ * or 'budget'.
+ * @param {Map} mediaInfo - Probed media files (see probeMediaFiles)
+ * @param {Object} [options]
+ * @param {string[]} [options.includeMedia] - Only these media types (see MEDIA_TYPES)
+ * @param {string[]} [options.excludeMedia] - Not these media types
+ * @param {number} [options.maxMediaSize] - Largest file to include, in bytes
+ * @param {number} [options.mediaBudget] - Total size of the included files, in bytes
+ */
+export function createMediaSelector(mediaInfo, options = {}) {
+  const { includeMedia, excludeMedia, maxMediaSize, mediaBudget } = options;
+  for (const type of [...(includeMedia || []), ...(excludeMedia || [])]) {
+    if (!MEDIA_TYPES.includes(type)) {
+      throw new Error(`Unknown media type "${type}" (expected ${MEDIA_TYPES.join(', ')})`);
+    }
+  }
+
+  // File name → reason it is left out (null: included)
+  const decisions = new Map();
+  let totalSize = 0;
+
+  function decide(filename, media = {}) {
+    if (decisions.has(filename)) {
+      return decisions.get(filename);
+    }
+
+    // Media copied by earlier runs (merge mode) is not probed: its size is unknown
+    const { mediaType, fileSize = 0 } = { ...media, ...mediaInfo.get(filename) };
+    let excluded = null;
+    if ((includeMedia && !includeMedia.includes(mediaType)) || (excludeMedia && excludeMedia.includes(mediaType))) {
+      excluded = 'type';
+    } else if (maxMediaSize !== undefined && fileSize > maxMediaSize) {
+      excluded = 'size';
+    } else if (mediaBudget !== undefined && totalSize + fileSize > mediaBudget) {
+      excluded = 'budget';
+    } else {
+      totalSize += fileSize;
+    }
+
+    decisions.set(filename, excluded);
+    return excluded;
+  }
+
+  return {
+    /**
+     * Mark a message's attachment as left out (or clear an earlier mark)
+     */
+    apply(message) {
+      if (!message.media || !message.media.filename) {
+        return message;
+      }
+      const { excluded: previous, ...media } = message.media;
+      const excluded = decide(media.filename, media);
+      return { ...message, media: excluded ? { ...media, excluded } : media };
+    },
+
+    /**
+     * Check whether a media file goes into the output
+     * Files no message references are decided after all referenced ones.
+     */
+    isIncluded: filename => decide(filename) === null
+  };
+}
+
+/**
+ * Apply a media selector to streamed messages
+ */
+export async function* withMediaSelection(messages, selector) {
+  for await (const message of messages) {
+    yield selector.apply(message);
+  }
+}
+
+/**
+ * Media copying
+ * Every media file is stored once per content hash in a shared store
+ * (<output>/.media-store/ab/abcd….jpg) and hardlinked into each chat's media/
+ * folder, so identical files - within a chat or across chats - take disk space
+ * once. A manifest in media/ remembers each file's fingerprint (size + mtime,
+ * or CRC inside a .zip), so unchanged files are skipped on re-runs.
+ *
+ * Modes:
+ *   copy      - store as above (default); falls back to plain copies where
+ *               hardlinks are not supported
+ *   hardlink  - hardlink media/ files to the export's own files, no extra disk use
+ *   symlink   - symlink media/ files to the export's own files (output only
+ *               works on this computer)
+ * Link modes need an extracted export; media inside a .zip is always stored.
+ */
+
+export const MEDIA_MODES = ['copy', 'hardlink', 'symlink'];
+
+const MANIFEST_FILE_NAME = '.manifest.json';
+
+async function readManifest(manifestPath) {
+  try {
+    return JSON.parse(await readFile(manifestPath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+      return {};
+    }
+    throw error;
+  }
+}
+
+async function fileExists(filePath) {
+  try {
+    await lstat(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+/**
+ * Path of a file's content in the store: <store>/ab/abcd….jpg
+ */
+function getStorePath(storeDir, hash, file) {
+  return join(storeDir, hash.slice(0, 2), hash + extname(file).toLowerCase());
+}
+
+/**
+ * Hardlink a file, falling back to a copy where links are not possible
+ * (other drive, filesystems without hardlinks)
+ */
+async function linkOrCopy(fromPath, toPath) {
+  try {
+    await link(fromPath, toPath);
+  } catch (error) {
+    if (!['EXDEV', 'EPERM', 'ENOTSUP', 'EMLINK'].includes(error.code)) throw error;
+    await copyFile(fromPath, toPath);
+  }
+}
+
+/**
+ * Put a file into the content-addressed store
+ * The file is hashed while it is written to a temporary file, which becomes
+ * the stored copy unless identical content is already there.
+ * @param {Map} storing - Store path → pending store, shared by files copied at the
+ *   same time: identical files wait for the first one instead of racing it
+ * @returns {Promise<{hash: string, storePath: string, duplicate: boolean}>}
+ */
+async function storeMediaFile(source, file, storeDir, storing) {
+  await mkdir(storeDir, { recursive: true });
+  const tempPath = join(storeDir, `.tmp-${process.pid}-${randomUUID()}`);
+  const hash = createHash('sha256');
+
+  try {
+    await pipeline(
+      await source.openFileStream(file),
+      async function* (chunks) {
+        for await (const chunk of chunks) {
+          hash.update(chunk);
+          yield chunk;
+        }
+      },
+      createWriteStream(tempPath)
+    );
+
+    const digest = hash.digest('hex');
+    const storePath = getStorePath(storeDir, digest, file);
+
+    const pending = storing.get(storePath);
+    if (pending) {
+      await pending;
+      await rm(tempPath, { force: true });
+      return { hash: digest, storePath, duplicate: true };
+    }
+
+    const stored = (async () => {
+      if (await fileExists(storePath)) {
+        await rm(tempPath, { force: true });
+        return true;
+      }
+      await mkdir(dirname(storePath), { recursive: true });
+      await rename(tempPath, storePath);
+      return false;
+    })();
+    storing.set(storePath, stored);
+
+    return { hash: digest, storePath, duplicate: await stored };
+  } catch (error) {
+    await rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
 /**
  * Copy media files to output directory
+ * Files inside a .zip export are extracted on the fly; several files are
+ * copied at once.
+ * @param {Object} [options]
+ * @param {string} [options.mode='copy'] - One of MEDIA_MODES
+ * @param {string} [options.storeDir] - Shared content store (default: .media-store next to outputDir)
+ * @param {string[]} [options.remove] - Files to delete from media/ if an earlier run put them there
+ * @param {number} [options.concurrency=8] - Files copied at once
+ * @param {Function} [options.onProgress] - Called with (done, total) after each file
+ * @returns {Promise<{copied: number, linked: number, skipped: number, duplicates: number, removed: number}>}
  */
-export async function copyMediaFiles(chatDir, outputDir, mediaFiles) {
+export async function copyMediaFiles(source, outputDir, mediaFiles, options = {}) {
+  const mode = options.mode || 'copy';
+  if (!MEDIA_MODES.includes(mode)) {
+    throw new Error(`Unknown media mode "${mode}" (expected ${MEDIA_MODES.join(', ')})`);
+  }
+
   const mediaOutputDir = join(outputDir, 'media');
+  const storeDir = options.storeDir || join(dirname(outputDir), '.media-store');
+  const manifestPath = join(mediaOutputDir, MANIFEST_FILE_NAME);
 
   // Create media directory
   await mkdir(mediaOutputDir, { recursive: true });
 
-  // Copy each file
-  for (const file of mediaFiles) {
-    const sourcePath = join(chatDir, file);
+  const manifest = await readManifest(manifestPath);
+  const stats = { copied: 0, linked: 0, skipped: 0, duplicates: 0, removed: 0 };
+
+  // Files left out this time (see createMediaSelector)
+  for (const file of options.remove || []) {
+    if (!manifest[file]) continue;
+    await rm(join(mediaOutputDir, file), { force: true });
+    delete manifest[file];
+    stats.removed++;
+  }
+
+  const storing = new Map();
+  let done = 0;
+
+  async function copyMediaFile(file) {
     const destPath = join(mediaOutputDir, file);
-    await copyFile(sourcePath, destPath);
+    const fingerprint = await source.getFileFingerprint(file);
+    const previous = manifest[file];
+
+    // Unchanged since the last run
+    if (previous && previous.fingerprint === fingerprint && previous.mode === mode && await fileExists(destPath)) {
+      stats.skipped++;
+      return;
+    }
+
+    const sourcePath = source.getFilePath(file);
+
+    if (mode !== 'copy' && sourcePath) {
+      await rm(destPath, { force: true });
+      if (mode === 'symlink') {
+        await symlink(sourcePath, destPath);
+      } else {
+        await linkOrCopy(sourcePath, destPath);
+      }
+      manifest[file] = { fingerprint, mode };
+      stats.linked++;
+      return;
+    }
+
+    const { hash, storePath, duplicate } = await storeMediaFile(source, file, storeDir, storing);
+
+    // Same content as before (only touched): the stored copy is already linked
+    if (previous && previous.hash === hash && previous.mode === mode && await fileExists(destPath)) {
+      manifest[file] = { ...previous, fingerprint };
+      stats.skipped++;
+      return;
+    }
+
+    await rm(destPath, { force: true });
+    await linkOrCopy(storePath, destPath);
+    manifest[file] = { fingerprint, mode, hash };
+    stats[duplicate ? 'duplicates' : 'copied']++;
+  }
+
+  await mapConcurrent(mediaFiles, options.concurrency || MEDIA_CONCURRENCY, async file => {
+    await copyMediaFile(file);
+    done++;
+    if (options.onProgress) {
+      options.onProgress(done, mediaFiles.length);
+    }
+  });
+
+  await writeFile(manifestPath, JSON.stringify(manifest, null, 2), 'utf-8');
+
+  return stats;
+}
+
+/**
+ * Delete the store copies of the files in a chat's manifest
+ * Other chats keep their own hardlinks and store the content again when they need it.
+ * @returns {Promise<number>} Store files removed
+ */
+async function removeStoredMedia(manifest, storeDir) {
+  let removed = 0;
+
+  for (const [file, { hash }] of Object.entries(manifest)) {
+    // Linked to the export's own file: nothing was stored
+    if (!hash) continue;
+
+    const storePath = getStorePath(storeDir, hash, file);
+    if (!await fileExists(storePath)) continue;
+    await rm(storePath, { force: true });
+    removed++;
+
+    try {
+      await rmdir(dirname(storePath));
+    } catch (error) {
+      if (!['ENOTEMPTY', 'EEXIST', 'ENOENT'].includes(error.code)) throw error;
+    }
   }
 
-  console.log(`Copied ${mediaFiles.length} media files to ${mediaOutputDir}`);
+  return removed;
+}
+
+/**
+ * Write media files encrypted into outputDir/media (see encryption.js)
+ * Each file becomes media/<id>.js calling encryptedMedia(id, mimeType, data):
+ * a page opened from disk may load scripts, but not fetch() files. The folder
+ * is replaced and the chat's files from an earlier unencrypted run are deleted
+ * from the shared store, so no plaintext copies remain in the output.
+ * @param {Object} keys - From createEncryptionKeys
+ * @param {Object} [options]
+ * @param {string} [options.storeDir] - Shared content store (default: .media-store next to outputDir)
+ * @param {Map} [options.mediaInfo] - Probed media types (see probeMediaFiles)
+ * @param {Function} [options.onProgress] - Called with (done, total) after each file
+ * @returns {Promise<{encrypted: number, removed: number}>} removed: plaintext store copies deleted
+ */
+export async function encryptMediaFiles(source, outputDir, mediaFiles, keys, options = {}) {
+  const mediaOutputDir = join(outputDir, 'media');
+  const storeDir = options.storeDir || join(dirname(outputDir), '.media-store');
+
+  const removed = await removeStoredMedia(await readManifest(join(mediaOutputDir, MANIFEST_FILE_NAME)), storeDir);
+  await rm(mediaOutputDir, { recursive: true, force: true });
+  await mkdir(mediaOutputDir, { recursive: true });
+
+  let done = 0;
+  await mapConcurrent(mediaFiles, MEDIA_CONCURRENCY, async file => {
+    const id = getEncryptedMediaId(keys, file);
+    const { mimeType } = (options.mediaInfo && options.mediaInfo.get(file)) || getMediaTypeFromName(file);
+    const encryptor = createEncryptor(keys);
+    const writer = openFileWriter(join(mediaOutputDir, `${id}.js`));
+
+    try {
+      await writer.write(`encryptedMedia(${JSON.stringify(id)}, ${JSON.stringify(mimeType)}, "`);
+      for await (const chunk of await source.openFileStream(file)) {
+        await writer.write(encryptor.update(chunk));
+      }
+      await writer.write(`${encryptor.final()}");\n`);
+    } finally {
+      await writer.close();
+    }
+
+    done++;
+    if (options.onProgress) {
+      options.onProgress(done, mediaFiles.length);
+    }
+  });
+
+  return { encrypted: mediaFiles.length, removed };
 }
 
 /**
  * Validate that all media references in messages exist
+ * @param {Object} [logger] - console-like object receiving warnings (default: console)
  */
-export function validateMediaReferences(messages, mediaFiles) {
+export function validateMediaReferences(messages, mediaFiles, logger = console) {
   const mediaSet = new Set(mediaFiles);
   const missingMedia = [];
 
@@ -65,11 +501,21 @@ export function validateMediaReferences(messages, mediaFiles) {
   });
 
   if (missingMedia.length > 0) {
-    console.warn(`Warning: ${missingMedia.length} media references not found`);
+    logger.warn(`Warning: ${missingMedia.length} media references not found`);
     missingMedia.slice(0, 5).forEach(item => {
-      console.warn(`  - ${item.filename} (in ${item.messageId})`);
+      logger.warn(`  - ${item.filename} (in ${item.messageId})`);
     });
   }
 
   return missingMedia;
 }
+
+/**
+ * Find media files in the export that no message references
+ */
+export function findUnreferencedMedia(messages, mediaFiles) {
+  const referenced = new Set(
+    messages.filter(msg => msg.media && msg.media.filename).map(msg => msg.media.filename)
+  );
+  return mediaFiles.filter(file => !referenced.has(file));
+}
@@ -0,0 +1,397 @@
+/**
+ * Media header parsing (pure Node, no image libraries)
+ * Reads what the viewer needs to show media before it loads: image
+ * dimensions from the first bytes of a file, and the duration of voice notes
+ * and videos from their container (Ogg, MP3, MP4/M4A/MOV/3GP).
+ */
+
+// Stop looking for JPEG dimensions after this many bytes (EXIF thumbnails come first)
+export const MAX_HEADER_LENGTH = 1024 * 1024;
+
+/**
+ * EXIF orientation from a JPEG APP1 segment (1 = upright, 5-8 = rotated by 90°)
+ */
+function readExifOrientation(bytes, start, end) {
+  if (bytes.toString('latin1', start, start + 6) !== 'Exif\0\0') return 1;
+
+  const tiff = start + 6;
+  if (tiff + 8 > end) return 1;
+  const littleEndian = bytes.toString('latin1', tiff, tiff + 2) === 'II';
+  const read16 = offset => (littleEndian ? bytes.readUInt16LE(offset) : bytes.readUInt16BE(offset));
+  const read32 = offset => (littleEndian ? bytes.readUInt32LE(offset) : bytes.readUInt32BE(offset));
+
+  const ifd = tiff + read32(tiff + 4);
+  if (ifd + 2 > end) return 1;
+
+  const entryCount = read16(ifd);
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > end) break;
+    if (read16(entry) === 0x0112) {
+      return read16(entry + 8);
+    }
+  }
+  return 1;
+}
+
+/**
+ * JPEG: walk the segments up to the first start-of-frame marker
+ */
+function readJpegSize(bytes) {
+  let position = 2;
+  let orientation = 1;
+
+  while (position + 9 < bytes.length) {
+    if (bytes[position] !== 0xff) return null;
+    const marker = bytes[position + 1];
+
+    // Padding and markers without a length
+    if (marker === 0xff) {
+      position++;
+      continue;
+    }
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      position += 2;
+      continue;
+    }
+
+    const length = bytes.readUInt16BE(position + 2);
+
+    if (marker === 0xe1) {
+      const end = Math.min(position + 2 + length, bytes.length);
+      orientation = readExifOrientation(bytes, position + 4, end);
+    }
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      const height = bytes.readUInt16BE(position + 5);
+      const width = bytes.readUInt16BE(position + 7);
+      // Browsers apply the EXIF rotation, so report the displayed size
+      return orientation >= 5 && orientation <= 8 ? { width: height, height: width } : { width, height };
+    }
+
+    position += 2 + length;
+  }
+
+  return null;
+}
+
+/**
+ * WebP: lossy (VP8), lossless (VP8L) and extended (VP8X) bitstreams
+ */
+function readWebpSize(bytes) {
+  if (bytes.length < 30) return null;
+  const chunk = bytes.toString('latin1', 12, 16);
+
+  if (chunk === 'VP8 ') {
+    return { width: bytes.readUInt16LE(26) & 0x3fff, height: bytes.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = bytes.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: bytes.readUIntLE(24, 3) + 1, height: bytes.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+/**
+ * Read image dimensions from the start of a JPEG, PNG, GIF or WebP file
+ * @param {Buffer} bytes - The file's first bytes
+ * @param {string} mimeType - Detected type (see mediaTypes.js)
+ * @returns {{width: number, height: number}|null} null when more bytes are needed or the format is unsupported
+ */
+export function readImageSize(bytes, mimeType) {
+  let size = null;
+
+  switch (mimeType) {
+    case 'image/jpeg':
+      size = readJpegSize(bytes);
+      break;
+    case 'image/png':
+      if (bytes.length >= 24) {
+        size = { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) };
+      }
+      break;
+    case 'image/gif':
+      if (bytes.length >= 10) {
+        size = { width: bytes.readUInt16LE(6), height: bytes.readUInt16LE(8) };
+      }
+      break;
+    case 'image/webp':
+      size = readWebpSize(bytes);
+      break;
+  }
+
+  return size && size.width > 0 && size.height > 0 ? size : null;
+}
+
+/**
+ * Check whether readImageSize supports a MIME type
+ */
+export function canReadImageSize(mimeType) {
+  return ['image/jpeg', 'image/png', 'image/gif', 'image/webp'].includes(mimeType);
+}
+
+/**
+ * Ogg (Opus, Vorbis): the last page's granule position counts samples
+ * The first page holds the codec header with the sample rate (and, for Opus,
+ * the pre-skip to subtract); only the end of the file is kept while reading.
+ */
+const OGG_TAIL_LENGTH = 64 * 1024;
+
+function createOggDurationReader() {
+  let head = Buffer.alloc(0);
+  let tail = Buffer.alloc(0);
+
+  return {
+    push(chunk) {
+      if (head.length < 512) {
+        head = Buffer.concat([head, chunk]).subarray(0, 512);
+      }
+      tail = Buffer.concat([tail, chunk]);
+      if (tail.length > OGG_TAIL_LENGTH) {
+        tail = tail.subarray(tail.length - OGG_TAIL_LENGTH);
+      }
+      return false;
+    },
+
+    result() {
+      if (head.length < 28 || head.toString('latin1', 0, 4) !== 'OggS') return null;
+
+      const serial = head.readUInt32LE(14);
+      const packet = 27 + head[26];
+      let sampleRate = null;
+      let preSkip = 0;
+
+      if (head.toString('latin1', packet, packet + 8) === 'OpusHead' && head.length >= packet + 12) {
+        // Opus granule positions always count 48 kHz samples
+        sampleRate = 48000;
+        preSkip = head.readUInt16LE(packet + 10);
+      } else if (head.toString('latin1', packet, packet + 7) === '\x01vorbis' && head.length >= packet + 16) {
+        sampleRate = head.readUInt32LE(packet + 12);
+      }
+      if (!sampleRate) return null;
+
+      // Last page of the same logical stream with a known granule position
+      // (stop after offset 0: a negative lastIndexOf offset counts from the end)
+      for (let position = tail.lastIndexOf('OggS'); position >= 0; position = position > 0 ? tail.lastIndexOf('OggS', position - 1) : -1) {
+        if (position + 27 > tail.length || tail.readUInt32LE(position + 14) !== serial) continue;
+        const granule = tail.readBigInt64LE(position + 6);
+        if (granule >= 0n) {
+          return Math.max(0, Number(granule) - preSkip) / sampleRate;
+        }
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * MP3: frame count from a Xing/Info or VBRI header, otherwise constant bitrate
+ * over the file size
+ */
+const MP3_BITRATES = {
+  '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+MP3_BITRATES['2-3'] = MP3_BITRATES['2-2'];
+
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+/**
+ * Find and decode the first MPEG audio frame header after any ID3v2 tag
+ * @returns {Object|null} null when more bytes are needed
+ */
+function readMp3Frame(bytes) {
+  let start = 0;
+  if (bytes.toString('latin1', 0, 3) === 'ID3') {
+    if (bytes.length < 10) return null;
+    // Syncsafe size: 7 bits per byte, plus the header and an optional footer
+    const tagSize = ((bytes[6] & 0x7f) << 21) | ((bytes[7] & 0x7f) << 14) | ((bytes[8] & 0x7f) << 7) | (bytes[9] & 0x7f);
+    start = 10 + tagSize + (bytes[5] & 0x10 ? 10 : 0);
+  }
+
+  for (let position = start; position + 4 <= bytes.length; position++) {
+    if (bytes[position] !== 0xff || (bytes[position + 1] & 0xe0) !== 0xe0) continue;
+
+    const versionBits = (bytes[position + 1] >> 3) & 0x03;
+    const layerBits = (bytes[position + 1] >> 1) & 0x03;
+    const bitrateIndex = bytes[position + 2] >> 4;
+    const sampleRateIndex = (bytes[position + 2] >> 2) & 0x03;
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 15 || sampleRateIndex === 3) continue;
+
+    const mpeg1 = versionBits === 3;
+    const layer = 4 - layerBits;
+    const mono = (bytes[position + 3] >> 6) === 3;
+    const sampleRate = MP3_SAMPLE_RATES[sampleRateIndex] / (mpeg1 ? 1 : versionBits === 2 ? 2 : 4);
+    const samplesPerFrame = layer === 1 ? 384 : layer === 3 && !mpeg1 ? 576 : 1152;
+
+    return {
+      position,
+      mpeg1,
+      mono,
+      sampleRate,
+      samplesPerFrame,
+      bitrate: MP3_BITRATES[`${mpeg1 ? 1 : 2}-${layer}`][bitrateIndex] * 1000
+    };
+  }
+  return null;
+}
+
+function readMp3FrameCount(bytes, frame) {
+  // Xing/Info sits after the side information, VBRI at a fixed offset
+  const sideInfo = frame.mpeg1 ? (frame.mono ? 17 : 32) : (frame.mono ? 9 : 17);
+  const xing = frame.position + 4 + sideInfo;
+  if (['Xing', 'Info'].includes(bytes.toString('latin1', xing, xing + 4)) && xing + 12 <= bytes.length) {
+    return bytes.readUInt32BE(xing + 4) & 0x01 ? bytes.readUInt32BE(xing + 8) : null;
+  }
+
+  const vbri = frame.position + 36;
+  if (bytes.toString('latin1', vbri, vbri + 4) === 'VBRI' && vbri + 18 <= bytes.length) {
+    return bytes.readUInt32BE(vbri + 14);
+  }
+  return null;
+}
+
+function createMp3DurationReader() {
+  const chunks = [];
+  let length = 0;
+  let frame = null;
+  let duration = null;
+
+  return {
+    push(chunk) {
+      length += chunk.length;
+      if (frame) return false;
+
+      chunks.push(chunk);
+      const bytes = Buffer.concat(chunks, length);
+      frame = readMp3Frame(bytes);
+      if (!frame || frame.position + 64 > length) {
+        frame = null;
+        return length >= MAX_HEADER_LENGTH;
+      }
+
+      const frameCount = readMp3FrameCount(bytes, frame);
+      if (frameCount) {
+        duration = (frameCount * frame.samplesPerFrame) / frame.sampleRate;
+        return true;
+      }
+      // Constant bitrate: keep counting bytes up to the end of the file
+      chunks.length = 0;
+      return false;
+    },
+
+    result() {
+      if (duration !== null) return duration;
+      if (!frame || !frame.bitrate) return null;
+      return ((length - frame.position) * 8) / frame.bitrate;
+    }
+  };
+}
+
+/**
+ * MP4, M4A, MOV, 3GP: the movie header (mvhd) inside the moov box
+ * Top-level boxes are skipped as they stream past; moov often comes after
+ * the media data, so the whole file may be read (but never held in memory).
+ */
+function readMovieDuration(moov, start, end) {
+  let position = start;
+
+  while (position + 8 <= end) {
+    const size = moov.readUInt32BE(position);
+    if (moov.toString('latin1', position + 4, position + 8) === 'mvhd') {
+      const version = moov[position + 8];
+      if (version === 1 && position + 40 <= end) {
+        const timescale = moov.readUInt32BE(position + 28);
+        const duration = Number(moov.readBigUInt64BE(position + 32));
+        return timescale ? duration / timescale : null;
+      }
+      if (version === 0 && position + 28 <= end) {
+        const timescale = moov.readUInt32BE(position + 20);
+        const duration = moov.readUInt32BE(position + 24);
+        // All ones: duration unknown
+        return timescale && duration !== 0xffffffff ? duration / timescale : null;
+      }
+      return null;
+    }
+    if (size < 8) return null;
+    position += size;
+  }
+  return null;
+}
+
+function createMp4DurationReader() {
+  let buffer = Buffer.alloc(0);
+  let bufferStart = 0; // file offset of buffer[0]
+  let boxStart = 0; // file offset of the next top-level box
+  let duration = null;
+
+  return {
+    push(chunk) {
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+      while (true) {
+        const offset = boxStart - bufferStart;
+        if (offset >= buffer.length) {
+          // Still inside a skipped box
+          bufferStart += buffer.length;
+          buffer = Buffer.alloc(0);
+          return false;
+        }
+        buffer = buffer.subarray(offset);
+        bufferStart = boxStart;
+        if (buffer.length < 16) return false;
+
+        let size = buffer.readUInt32BE(0);
+        let headerSize = 8;
+        if (size === 1) {
+          size = Number(buffer.readBigUInt64BE(8));
+          headerSize = 16;
+        } else if (size === 0) {
+          // Box runs to the end of the file
+          size = Infinity;
+        }
+        if (size < headerSize) return true;
+
+        if (buffer.toString('latin1', 4, 8) === 'moov') {
+          const needed = Math.min(size, MAX_HEADER_LENGTH);
+          if (buffer.length < needed) return false;
+          duration = readMovieDuration(buffer, headerSize, needed);
+          return true;
+        }
+        if (size === Infinity) return true;
+        boxStart += size;
+      }
+    },
+
+    result: () => duration
+  };
+}
+
+/**
+ * Create a reader that works out a recording's duration while the file
+ * streams past
+ * Feed it the file's bytes from the start with push(chunk) - which returns true
+ * once it has seen enough - then call result() for the duration in seconds
+ * (null if it could not be read).
+ * @param {string} mimeType - Detected type (see mediaTypes.js)
+ * @returns {{push: Function, result: Function}|null} null for unsupported types
+ */
+export function createDurationReader(mimeType) {
+  if (mimeType.startsWith('audio/ogg')) {
+    return createOggDurationReader();
+  }
+  if (mimeType === 'audio/mpeg') {
+    return createMp3DurationReader();
+  }
+  if (['audio/mp4', 'video/mp4', 'video/quicktime', 'video/3gpp'].includes(mimeType)) {
+    return createMp4DurationReader();
+  }
+  return null;
+}
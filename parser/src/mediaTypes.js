@@ -0,0 +1,172 @@
+/**
+ * Media type detection
+ * The one list of attachment extensions (used by the parser, the locales and
+ * the media handler), plus detection from a file's first bytes - the
+ * extension is only a fallback, since exports contain extension-less
+ * attachments and files whose extension does not match their content.
+ */
+
+// Extension → media type and MIME type
+const EXTENSIONS = {
+  // Images
+  jpg: ['image', 'image/jpeg'],
+  jpeg: ['image', 'image/jpeg'],
+  png: ['image', 'image/png'],
+  gif: ['image', 'image/gif'],
+  webp: ['image', 'image/webp'],
+  heic: ['image', 'image/heic'],
+  heif: ['image', 'image/heif'],
+  // Videos
+  mp4: ['video', 'video/mp4'],
+  mov: ['video', 'video/quicktime'],
+  avi: ['video', 'video/x-msvideo'],
+  mkv: ['video', 'video/x-matroska'],
+  webm: ['video', 'video/webm'],
+  '3gp': ['video', 'video/3gpp'],
+  // Audio
+  opus: ['audio', 'audio/ogg; codecs=opus'],
+  ogg: ['audio', 'audio/ogg'],
+  mp3: ['audio', 'audio/mpeg'],
+  aac: ['audio', 'audio/aac'],
+  m4a: ['audio', 'audio/mp4'],
+  amr: ['audio', 'audio/amr'],
+  wav: ['audio', 'audio/wav'],
+  // Contact cards
+  vcf: ['contact', 'text/vcard'],
+  // Documents
+  pdf: ['document', 'application/pdf'],
+  doc: ['document', 'application/msword'],
+  docx: ['document', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  xls: ['document', 'application/vnd.ms-excel'],
+  xlsx: ['document', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  ppt: ['document', 'application/vnd.ms-powerpoint'],
+  pptx: ['document', 'application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  txt: ['document', 'text/plain'],
+  csv: ['document', 'text/csv'],
+  zip: ['document', 'application/zip']
+};
+
+// Extensions of media files WhatsApp attaches, without the dot
+export const MEDIA_EXTENSIONS = Object.keys(EXTENSIONS);
+
+// Every media type an attachment can have
+export const MEDIA_TYPES = ['image', 'video', 'audio', 'contact', 'document'];
+
+// Bytes needed by detectMediaType
+export const SNIFF_LENGTH = 64;
+
+const UNKNOWN_TYPE = { mediaType: 'document', mimeType: 'application/octet-stream' };
+
+function getExtension(filename) {
+  const dot = filename.lastIndexOf('.');
+  return dot > 0 ? filename.slice(dot + 1).toLowerCase() : '';
+}
+
+/**
+ * Media type from a file name's extension
+ * @returns {{mediaType: string, mimeType: string}} mediaType is image, video, audio, contact or document
+ */
+export function getMediaTypeFromName(filename) {
+  const known = EXTENSIONS[getExtension(filename)];
+  return known ? { mediaType: known[0], mimeType: known[1] } : { ...UNKNOWN_TYPE };
+}
+
+/**
+ * Check whether a file name has one of MEDIA_EXTENSIONS
+ */
+export function hasMediaExtension(filename) {
+  return getExtension(filename) in EXTENSIONS;
+}
+
+/**
+ * Check whether an attachment is a voice note
+ * WhatsApp records voice notes as Opus in an Ogg container.
+ */
+export function isVoiceNote(media) {
+  return media.mediaType === 'audio' && (media.mimeType || '').startsWith('audio/ogg');
+}
+
+function ascii(bytes, start, end) {
+  return bytes.toString('latin1', start, end);
+}
+
+/**
+ * ISO base media files (MP4, MOV, M4A, 3GP, HEIC) by their "ftyp" brand
+ */
+function detectIsoMedia(bytes) {
+  const brand = ascii(bytes, 8, 12);
+  if (['heic', 'heix', 'heim', 'heis'].includes(brand)) return ['image', 'image/heic'];
+  if (['mif1', 'msf1'].includes(brand)) return ['image', 'image/heif'];
+  if (brand.startsWith('M4A') || brand === 'M4B ') return ['audio', 'audio/mp4'];
+  if (brand.startsWith('3gp') || brand.startsWith('3g2')) return ['video', 'video/3gpp'];
+  if (brand === 'qt  ') return ['video', 'video/quicktime'];
+  return ['video', 'video/mp4'];
+}
+
+/**
+ * Detect a media type from a file's first bytes (magic numbers)
+ * @param {Buffer} bytes - At least the first SNIFF_LENGTH bytes (fewer for tiny files)
+ * @param {string} [filename] - Used to tell apart container formats (ZIP, OLE) by extension
+ * @returns {{mediaType: string, mimeType: string}|null} null when the content is not recognized
+ */
+export function detectMediaType(bytes, filename = '') {
+  const type = detectFromBytes(bytes, filename);
+  return type ? { mediaType: type[0], mimeType: type[1] } : null;
+}
+
+function detectFromBytes(bytes, filename) {
+  if (bytes.length < 4) return null;
+  const head = ascii(bytes, 0, 4);
+
+  // Images
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return ['image', 'image/jpeg'];
+  if (bytes[0] === 0x89 && head.slice(1) === 'PNG') return ['image', 'image/png'];
+  if (head === 'GIF8') return ['image', 'image/gif'];
+
+  // RIFF containers: WebP, WAV, AVI
+  if (head === 'RIFF') {
+    const form = ascii(bytes, 8, 12);
+    if (form === 'WEBP') return ['image', 'image/webp'];
+    if (form === 'WAVE') return ['audio', 'audio/wav'];
+    if (form === 'AVI ') return ['video', 'video/x-msvideo'];
+    return null;
+  }
+
+  // MP4 family
+  if (ascii(bytes, 4, 8) === 'ftyp') return detectIsoMedia(bytes);
+
+  // Ogg: Opus voice notes, Vorbis audio, Theora video
+  if (head === 'OggS') {
+    const page = ascii(bytes, 28, 36);
+    if (page.startsWith('OpusHead')) return ['audio', 'audio/ogg; codecs=opus'];
+    if (page.includes('theora')) return ['video', 'video/ogg'];
+    return ['audio', 'audio/ogg'];
+  }
+
+  // Matroska / WebM
+  if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) {
+    return ascii(bytes, 0, bytes.length).includes('webm') ? ['video', 'video/webm'] : ['video', 'video/x-matroska'];
+  }
+
+  // Audio streams
+  if (head.startsWith('ID3')) return ['audio', 'audio/mpeg'];
+  if (ascii(bytes, 0, 5) === '#!AMR') return ['audio', 'audio/amr'];
+  if (bytes[0] === 0xff && (bytes[1] & 0xf6) === 0xf0) return ['audio', 'audio/aac'];
+  if (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0) return ['audio', 'audio/mpeg'];
+
+  // Documents and contact cards
+  if (head === '%PDF') return ['document', 'application/pdf'];
+  if (ascii(bytes, 0, 11).toUpperCase() === 'BEGIN:VCARD') return ['contact', 'text/vcard'];
+
+  // ZIP-based (docx, xlsx...) and legacy Office files: the extension tells which
+  if (head === 'PK\u0003\u0004') {
+    const known = EXTENSIONS[getExtension(filename)];
+    return known && known[0] === 'document' ? known : ['document', 'application/zip'];
+  }
+  if (bytes[0] === 0xd0 && bytes[1] === 0xcf && bytes[2] === 0x11 && bytes[3] === 0xe0) {
+    const known = EXTENSIONS[getExtension(filename)];
+    return known && known[0] === 'document' ? known : ['document', 'application/msword'];
+  }
+
+  return null;
+}
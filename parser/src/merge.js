@@ -0,0 +1,103 @@
+import { readFile, readdir } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * Merging overlapping exports
+ * WhatsApp caps how much history an export contains, so a newer export can
+ * miss messages an older one had. Merging keeps everything that was already
+ * archived, adds what is new and keeps message IDs stable across runs.
+ */
+
+/**
+ * Load previously written messages.json
+ * Returns null when there is nothing to merge into yet.
+ */
+export async function loadArchivedMessages(filePath) {
+  let content;
+  try {
+    content = await readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  const messages = JSON.parse(content);
+  if (!Array.isArray(messages)) {
+    throw new Error(`Cannot merge into ${filePath}: expected an array of messages`);
+  }
+  return messages;
+}
+
+/**
+ * List media files already copied to an output folder
+ */
+export async function getArchivedMediaFiles(outputDir) {
+  try {
+    return await readdir(join(outputDir, 'media'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Key that identifies the same message across exports
+ * Uses the wall-clock time (so a different --timezone still matches),
+ * the sender as written in the export (before aliases) and the content.
+ */
+function getMessageKey(message) {
+  const sender = message.originalSender || message.sender;
+  return `${message.timestamp.slice(0, 19)}\u0000${sender}\u0000${message.content}`;
+}
+
+function getIdNumber(id) {
+  const match = /^msg_(\d+)$/.exec(id);
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * Merge freshly parsed messages into archived ones
+ * Archived messages keep their IDs; each incoming message that matches one
+ * (same time, sender and content - repeated identical messages are matched
+ * one to one) counts as already present, the others get new IDs after the
+ * highest archived one. The result is in chronological order.
+ * @returns {{messages: Object[], added: number, present: number}}
+ */
+export function mergeMessages(archived, incoming) {
+  const unmatched = new Map();
+  let nextId = 0;
+
+  for (const message of archived) {
+    const key = getMessageKey(message);
+    if (!unmatched.has(key)) {
+      unmatched.set(key, []);
+    }
+    unmatched.get(key).push(message);
+    nextId = Math.max(nextId, getIdNumber(message.id));
+  }
+
+  const added = [];
+  let present = 0;
+
+  for (const message of incoming) {
+    const matches = unmatched.get(getMessageKey(message));
+    if (matches && matches.length > 0) {
+      matches.shift();
+      present++;
+    } else {
+      added.push({ ...message, id: `msg_${++nextId}` });
+    }
+  }
+
+  // Stable sort: archived order is kept for messages with the same instant
+  const messages = [...archived, ...added]
+    .map(message => ({ message, time: new Date(message.timestamp).getTime() }))
+    .sort((a, b) => a.time - b.time)
+    .map(({ message }) => message);
+
+  return { messages, added: added.length, present };
+}
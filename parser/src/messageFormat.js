@@ -0,0 +1,206 @@
+import { toWallClockDate } from './timezone.js';
+import { stripAttachmentMarkers } from './locales/index.js';
+
+/**
+ * Message formatting shared by the exporters
+ * (HTML viewer, Markdown and plain-text transcripts, EPUB book)
+ */
+
+// Message types whose raw text is replaced by a description
+export const SPECIAL_TYPES = ['deleted', 'call', 'location', 'poll', 'view_once'];
+
+export const VIEW_ONCE_LABELS = {
+  image: 'View once photo',
+  video: 'View once video',
+  audio: 'View once voice message'
+};
+
+export const MEDIA_ICONS = {
+  image: '📷',
+  video: '🎥',
+  audio: '🎤',
+  contact: '👤',
+  document: '📄'
+};
+
+// Headings in transcripts are never relative ("Today"): the file is read later
+const LONG_DATE_FORMAT = new Intl.DateTimeFormat('en-US', {
+  weekday: 'long',
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+/**
+ * Format a day for a transcript heading: Saturday, March 2, 2024
+ */
+export function formatLongDate(timestamp) {
+  return LONG_DATE_FORMAT.format(toWallClockDate(timestamp));
+}
+
+const MONTH_FORMAT = new Intl.DateTimeFormat('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+const MONTH_NAME_FORMAT = new Intl.DateTimeFormat('en-US', { month: 'long', timeZone: 'UTC' });
+
+/**
+ * Format a month key ("2024-03"): March 2024
+ */
+export function formatMonth(monthKey) {
+  return MONTH_FORMAT.format(new Date(`${monthKey}-01T00:00:00Z`));
+}
+
+/**
+ * Name of the month of a month key ("2024-03"): March
+ */
+export function formatMonthName(monthKey) {
+  return MONTH_NAME_FORMAT.format(new Date(`${monthKey}-01T00:00:00Z`));
+}
+
+/**
+ * One-line description of a chat for the top of a transcript
+ * e.g. "WhatsApp chat · 1,234 messages · 3 participants · 2024-03-02 to 2025-06-18"
+ */
+export function getChatSummary(metadata) {
+  const { messageCount, participants, dateRange } = metadata;
+  const parts = [
+    'WhatsApp chat',
+    `${messageCount.toLocaleString('en-US')} ${messageCount === 1 ? 'message' : 'messages'}`,
+    `${participants.length} ${participants.length === 1 ? 'participant' : 'participants'}`
+  ];
+  if (dateRange.start) {
+    parts.push(`${dateRange.start} to ${dateRange.end}`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * 24-hour wall-clock time of a message as written in the chat: 09:15
+ */
+export function formatClockTime(timestamp) {
+  return timestamp.slice(11, 16);
+}
+
+/**
+ * Format a duration the way WhatsApp labels voice notes and videos: 0:07, 12:34, 1:02:03
+ */
+export function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Format a file size: 512 B, 48 KB, 2.4 MB
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value < 10 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`;
+}
+
+/**
+ * Message text without attachment markers, with line endings and Unicode normalized
+ * Empty for special types (see describeSpecialMessage) and attachments without a caption.
+ */
+export function getMessageText(message) {
+  if (SPECIAL_TYPES.includes(message.type) || !message.content) {
+    return '';
+  }
+  return stripAttachmentMarkers(message.content)
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+$/gm, '')
+    .trim();
+}
+
+/**
+ * Plain-text description of a deleted, call, location, poll or view once message
+ * @returns {string[]} Lines to show instead of the message text (empty for other types)
+ */
+export function describeSpecialMessage(message) {
+  switch (message.type) {
+    case 'deleted':
+      return [`🚫 ${message.content}`];
+    case 'call':
+      return [`${message.call.kind === 'video' ? '📹' : '📞'} ${message.content}`];
+    case 'location': {
+      const { latitude, longitude, url, live } = message.location;
+      const where = url || (latitude !== null ? `${latitude}, ${longitude}` : '');
+      return [`📍 ${live ? 'Live location' : 'Location'}${where ? `: ${where}` : ''}`];
+    }
+    case 'poll': {
+      const { question, options } = message.poll;
+      return [
+        `📊 ${question}`,
+        ...options.map(option => `- ${option.text}: ${option.votes} ${option.votes === 1 ? 'vote' : 'votes'}`)
+      ];
+    }
+    case 'view_once':
+      return [`👁 ${VIEW_ONCE_LABELS[message.viewOnce.mediaType]}`];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Path of a message's attachment relative to the export folder
+ */
+export function getMediaPath(media) {
+  return `media/${media.filename}`;
+}
+
+/**
+ * Short label for an attachment: icon, name (a contact's name for contact cards)
+ * and the duration of audio and video, or the size of files left out of the export
+ */
+export function getMediaLabel(message) {
+  const { filename, mediaType, duration, fileSize, excluded } = message.media;
+  const name = mediaType === 'contact' && message.contact ? message.contact.name : filename;
+  let label = `${MEDIA_ICONS[mediaType] || MEDIA_ICONS.document} ${name}`;
+  if (duration) {
+    label += ` (${formatDuration(duration)})`;
+  }
+  if (excluded && fileSize) {
+    label += ` (${formatFileSize(fileSize)})`;
+  }
+  return label;
+}
+
+const URL_PATTERN = /https?:\/\/[^\s<>"]+/g;
+
+// Punctuation that ends the sentence rather than the link
+const TRAILING_PUNCTUATION = /[.,:;!?'*_~]+$/;
+
+/**
+ * Find the web links in a text, the way GFM autolinks them: punctuation after
+ * a link ("see http://x.com/a.") and a closing parenthesis without a matching
+ * opening one in the link ("(see http://x.com/a)") are left out
+ * @returns {Array<{url: string, index: number}>}
+ */
+export function findUrls(text) {
+  const urls = [];
+  for (const match of text.matchAll(URL_PATTERN)) {
+    let url = match[0];
+    let length;
+    do {
+      length = url.length;
+      url = url.replace(TRAILING_PUNCTUATION, '');
+      if (url.endsWith(')') && url.split(')').length > url.split('(').length) {
+        url = url.slice(0, -1);
+      }
+    } while (url.length !== length);
+
+    if (!/^https?:\/\/$/.test(url)) {
+      urls.push({ url, index: match.index });
+    }
+  }
+  return urls;
+}
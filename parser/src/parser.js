@@ -1,165 +1,429 @@
-import { readFile } from 'fs/promises';
+import { createReadStream } from 'fs';
+import { createInterface } from 'readline';
+import { getLocale, createLocaleDetector } from './locales/index.js';
+import { resolveTimeZone, toZonedTimestamp, getLocalDateKey, getDateKeyInZone } from './timezone.js';
+import { getMediaTypeFromName, isVoiceNote } from './mediaTypes.js';
 
 /**
  * Parse WhatsApp chat text file
- * Format: [DD/MM/YY, HH:MM:SS AM/PM] Sender: Message
+ * Formats:
+ *   [DD/MM/YY, HH:MM:SS AM/PM] Sender: Message      (iOS)
+ *   D/M/YY, HH:MM AM - Sender: Message              (Android)
+ *   DD.MM.YYYY, HH:MM - Sender: Message             (Android, 24-hour, e.g. German)
+ *   DD/MM/YYYY à HH:MM - Sender: Message            (Android, French)
  */
 
+// Date part: D/M/Y in any order, with '/', '.' or '-' separators and 2 or 4 digit years
+const DATE_PART = '(\\d{1,4}[./-]\\d{1,2}[./-]\\d{1,4})';
+// Time part: H:MM or H:MM:SS (':' or '.'), optional AM/PM marker (AM, am, a.m., a. m.)
+const TIME_PART = '(\\d{1,2}[:.]\\d{2}(?:[:.]\\d{2})?(?:[\\s\\u202F]*[AaPp]\\.?[\\s\\u202F]?[Mm]\\.?)?)';
+
 // Regex to match message start lines
-// Format 1: [DD/MM/YY, HH:MM:SS AM/PM] Sender: Message
-const MESSAGE_START_PATTERN_1 = /^\[(\d{1,2}\/\d{1,2}\/\d{2}), (\d{1,2}:\d{2}:\d{2} [AP]M)\] ([^:]+): (.*)$/;
-// Format 2: D/M/YY, HH:MM AM - Sender: Message (with narrow no-break space \u202F)
-const MESSAGE_START_PATTERN_2 = /^(\d{1,2}\/\d{1,2}\/\d{2}), (\d{1,2}:\d{2}[\s\u202F][AP]M) - ([^:]+): (.*)$/;
-// Format 2 system messages: D/M/YY, HH:MM AM - System message (no colon)
-const MESSAGE_START_PATTERN_2_SYSTEM = /^(\d{1,2}\/\d{1,2}\/\d{2}), (\d{1,2}:\d{2}[\s\u202F][AP]M) - (.+)$/;
-
-// Regex to match media attachments
-const MEDIA_ATTACHED_PATTERN = /<attached: (.+?)>/;
-const MEDIA_ATTACHED_PATTERN_2 = /^(.+?\.(jpg|jpeg|png|gif|webp|mp4|avi|mov|mkv|opus|mp3|ogg|aac|m4a|pdf|doc|docx|xls|xlsx)) \(file attached\)/i;
-const MEDIA_OMITTED_PATTERN = /image omitted|video omitted|audio omitted|sticker omitted|document omitted/i;
-
-// System message patterns
-const SYSTEM_MESSAGE_INDICATORS = [
-  'created this group',
-  'added you',
-  'left',
-  'removed',
-  'changed the subject',
-  'changed this group\'s icon',
-  'Messages and calls are end-to-end encrypted'
-];
+// Format 1: [date, time] Rest
+const MESSAGE_START_PATTERN_1 = new RegExp(`^\\[${DATE_PART},?\\s+${TIME_PART}\\]\\s*(.*)$`);
+// Format 2: date, time - Rest (also "date time - Rest" and French "date à time - Rest")
+const MESSAGE_START_PATTERN_2 = new RegExp(`^${DATE_PART}(?:,\\s*|\\s+à\\s+|\\s+)${TIME_PART}\\s+[-–]\\s+(.*)$`);
+// Rest of a message line: "Sender: Message", anything else is a system message
+const SENDER_PATTERN = /^([^:]+): (.*)$/;
+// Lines that start like a timestamp but match neither layout (reported as format mismatches)
+const DATE_LIKE_PATTERN = /^\[?\d{1,4}[./-]\d{1,2}[./-]\d{1,4}/;
+
+// Supported day/month/year orders
+export const DATE_FORMATS = ['DMY', 'MDY', 'YMD'];
 
 /**
- * Parse date and time to ISO format
- * Handles both DD/MM/YY and M/D/YY formats
- * Input: "18/06/25", "11:52:46 AM" or "1/13/26", "12:52 AM"
- * Output: "2025-06-18T11:52:46"
- * @param {number} formatType - 1 for DD/MM/YY, 2 for M/D/YY
+ * Split a date string ("18/06/25", "12.03.2024", "2024-03-12") into its three parts
  */
-function parseDateTime(dateStr, timeStr, formatType = 1) {
-  const parts = dateStr.split('/');
-  const year = parts[2];
-  const fullYear = `20${year}`; // Assuming 2000s
-
-  // Determine date format: if first part > 12, it's day (DD/MM), else check second part
-  let day, month;
-  const first = parseInt(parts[0]);
-  const second = parseInt(parts[1]);
-
-  if (first > 12) {
-    // Format: DD/MM/YY
-    day = parts[0];
-    month = parts[1];
-  } else if (second > 12) {
-    // Format: M/DD/YY or MM/DD/YY
-    month = parts[0];
-    day = parts[1];
-  } else {
-    // Ambiguous case (both ≤ 12)
-    // Format 1 (with brackets) uses DD/MM/YY
-    // Format 2 (with dash separator) uses M/D/YY
-    if (formatType === 2) {
-      month = parts[0];
-      day = parts[1];
-    } else {
-      day = parts[0];
-      month = parts[1];
-    }
+function splitDate(dateStr) {
+  return dateStr.split(/[./-]/);
+}
+
+/**
+ * Map date parts to year/month/day for a given date format
+ */
+function resolveDateParts(parts, dateFormat) {
+  const [a, b, c] = parts;
+  switch (dateFormat) {
+    case 'MDY':
+      return { year: c, month: a, day: b };
+    case 'YMD':
+      return { year: a, month: b, day: c };
+    default:
+      return { year: c, month: b, day: a };
   }
+}
+
+/**
+ * Sortable number for a date read in the given order (20250618 for 18 June 2025)
+ */
+function dateValue(parts, dateFormat) {
+  const { year, month, day } = resolveDateParts(parts, dateFormat);
+  return Number(year) * 10000 + Number(month) * 100 + Number(day);
+}
 
-  // Parse time - handle both regular space and narrow no-break space (U+202F)
-  let [time, period] = timeStr.split(/[\s\u202F]/);
-  let timeParts = time.split(':').map(Number);
-  let hours = timeParts[0];
-  let minutes = timeParts[1];
-  let seconds = timeParts[2] || 0; // Default to 0 if no seconds
+/**
+ * Create a detector for the day/month order used by a whole chat file
+ * Feed it every message date with add(), then call result(). Rules:
+ *   - a 4-digit first part means YMD
+ *   - a first part > 12 means DMY, a second part > 12 means MDY
+ *   - otherwise the order that keeps dates chronological wins
+ *   - then '.' separators or 24-hour times mean DMY (US exports use M/D/YY with AM/PM)
+ * Only counters are kept, so it works on exports of any size.
+ */
+export function createDateFormatDetector() {
+  let total = 0;
+  let fourDigitFirst = 0;
+  let dayFirst = 0;
+  let monthFirst = 0;
+  let dotted = 0;
+  let twentyFourHour = 0;
+
+  // Dates going backwards when read as DMY / MDY
+  const violations = { DMY: 0, MDY: 0 };
+  const previous = { DMY: null, MDY: null };
+
+  return {
+    /**
+     * @param {string} dateStr - Date of a message start line
+     * @param {string} [timeStr] - Its time, when known
+     */
+    add(dateStr, timeStr) {
+      const parts = splitDate(dateStr);
+      total++;
+
+      if (dateStr.includes('.')) dotted++;
+      if (timeStr && !/[AaPp]\.?[\s\u202F]?[Mm]\.?$/.test(timeStr)) twentyFourHour++;
+
+      if (parts[0].length === 4) fourDigitFirst++;
+      if (Number(parts[0]) > 12) dayFirst++;
+      if (Number(parts[1]) > 12) monthFirst++;
+
+      for (const dateFormat of ['DMY', 'MDY']) {
+        const value = dateValue(parts, dateFormat);
+        if (previous[dateFormat] !== null && value < previous[dateFormat]) {
+          violations[dateFormat]++;
+        }
+        previous[dateFormat] = value;
+      }
+    },
+
+    /**
+     * @param {number} formatType - Line layout, used as a tie-breaker (1 → DMY, 2 → MDY)
+     * @returns {string} One of DATE_FORMATS
+     */
+    result(formatType = 1) {
+      if (total > 0 && fourDigitFirst === total) {
+        return 'YMD';
+      }
+
+      if (dayFirst !== monthFirst) {
+        return dayFirst > monthFirst ? 'DMY' : 'MDY';
+      }
+
+      // Ambiguous (all parts ≤ 12): prefer the order that keeps messages chronological
+      if (violations.DMY !== violations.MDY) {
+        return violations.DMY < violations.MDY ? 'DMY' : 'MDY';
+      }
 
-  // Convert to 24-hour format
+      // Dates like 03.04.2024 and times without AM/PM are not US style
+      if (dotted > 0 || (total > 0 && twentyFourHour === total)) {
+        return 'DMY';
+      }
+
+      // Still undecided: bracket format uses DD/MM/YY, dash format uses M/D/YY
+      return formatType === 2 ? 'MDY' : 'DMY';
+    }
+  };
+}
+
+/**
+ * Detect the day/month order from a list of date strings
+ * @param {string[]} dateStrings - Date strings of every message start line
+ * @param {number} formatType - Line layout, used as a tie-breaker (1 → DMY, 2 → MDY)
+ * @param {string[]} [timeStrings] - Times of the same lines
+ * @returns {string} One of DATE_FORMATS
+ */
+export function detectDateFormat(dateStrings, formatType = 1, timeStrings = []) {
+  const detector = createDateFormatDetector();
+  dateStrings.forEach((dateStr, index) => detector.add(dateStr, timeStrings[index]));
+  return detector.result(formatType);
+}
+
+/**
+ * Check that a date exists when read in the given order (no month 13, no 31 April)
+ */
+function isValidDate(dateStr, dateFormat) {
+  const { year, month, day } = resolveDateParts(splitDate(dateStr), dateFormat);
+  const fullYear = year.length === 2 ? 2000 + Number(year) : Number(year);
+  const daysInMonth = new Date(Date.UTC(fullYear, Number(month), 0)).getUTCDate();
+  return Number(month) >= 1 && Number(month) <= 12 && Number(day) >= 1 && Number(day) <= daysInMonth;
+}
+
+/**
+ * Parse date and time to ISO format
+ * Input: "18/06/25", "11:52:46 AM" or "1/13/2026", "12:52 a. m." or "12.03.24", "14:05"
+ * Output: "2025-06-18T11:52:46"
+ * @param {string} dateFormat - One of DATE_FORMATS
+ */
+function parseDateTime(dateStr, timeStr, dateFormat = 'DMY') {
+  const { year, month, day } = resolveDateParts(splitDate(dateStr), dateFormat);
+  const fullYear = year.length === 2 ? `20${year}` : year; // Assuming 2000s for 2-digit years
+
+  // Split time from AM/PM marker - handle regular and narrow no-break space (U+202F)
+  const timeMatch = timeStr.match(/^(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?(.*)$/);
+  let hours = Number(timeMatch[1]);
+  const minutes = timeMatch[2];
+  const seconds = timeMatch[3] || '00'; // Default to 0 if no seconds
+  const period = timeMatch[4].replace(/[\s\u202F.]/g, '').toUpperCase();
+
+  // Convert to 24-hour format (no period means the time is already 24-hour)
   if (period === 'PM' && hours !== 12) {
     hours += 12;
   } else if (period === 'AM' && hours === 12) {
     hours = 0;
   }
 
-  const isoDate = `${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T${String(hours).padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-  return isoDate;
+  return `${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T${String(hours).padStart(2, '0')}:${minutes}:${seconds}`;
 }
 
 /**
  * Check if a message is a system message
  */
-function isSystemMessage(content) {
-  return SYSTEM_MESSAGE_INDICATORS.some(indicator =>
+function isSystemMessage(content, locale) {
+  return locale.systemMessages.some(indicator =>
     content.includes(indicator)
   );
 }
 
 /**
- * Determine message type and extract media info
+ * Split event targets ("Dad, Bob and Alice") into names
  */
-function analyzeMessage(content) {
-  // Check for attached media - Format 1: <attached: filename.ext>
-  const attachedMatch = content.match(MEDIA_ATTACHED_PATTERN);
-  if (attachedMatch) {
-    const filename = attachedMatch[1];
-    const ext = filename.split('.').pop().toLowerCase();
-    let mediaType = 'document';
-
-    if (['jpg', 'jpeg', 'png', 'gif', 'webp'].includes(ext)) {
-      mediaType = 'image';
-    } else if (['mp4', 'avi', 'mov', 'mkv'].includes(ext)) {
-      mediaType = 'video';
-    } else if (['opus', 'mp3', 'ogg', 'aac', 'm4a'].includes(ext)) {
-      mediaType = 'audio';
-    } else if (['pdf', 'doc', 'docx', 'xls', 'xlsx'].includes(ext)) {
-      mediaType = 'document';
-    }
+function splitTargets(text, locale) {
+  const targets = locale.listSeparatorPattern
+    ? text.split(new RegExp(locale.listSeparatorPattern.source, 'gi'))
+    : [text];
+  return targets.map(target => target.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a system line into a structured group event
+ * e.g. "Mom added Dad and Bob" → { type: 'member_added', actor: 'Mom', targets: ['Dad', 'Bob'] }
+ * Returns null when the line matches none of the locale's event patterns.
+ */
+function parseGroupEvent(text, locale) {
+  for (const { type, pattern } of locale.events) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    const groups = match.groups || {};
+    const event = { type };
+
+    if (groups.actor !== undefined) event.actor = groups.actor;
+    if (groups.targets !== undefined) event.targets = splitTargets(groups.targets, locale);
+    if ('from' in groups) event.from = groups.from ?? null;
+    if ('to' in groups) event.to = groups.to ?? null;
+    if ('subject' in groups) event.subject = groups.subject ?? null;
+
+    return event;
+  }
+
+  return null;
+}
+
+/**
+ * Build the analysis for an attached file
+ * Contact cards (.vcf) get their own type with the contact's name
+ */
+function analyzeAttachment(filename) {
+  const { mediaType, mimeType } = getMediaTypeFromName(filename);
 
+  if (mediaType === 'contact') {
+    // "00000045-John Smith.vcf" → "John Smith"
+    const name = filename.replace(/\.vcf$/i, '').replace(/^\d+-/, '');
     return {
-      type: 'media',
-      media: { filename, mediaType }
+      type: 'contact',
+      media: { filename, mediaType, mimeType },
+      contact: { name }
     };
   }
 
+  return {
+    type: 'media',
+    media: { filename, mediaType, mimeType }
+  };
+}
+
+/**
+ * Parse a call duration ("12 min", "1 hr 5 min", "45 sec", "1:02:03") into seconds
+ * Returns null when the call log entry has no duration (e.g. missed calls)
+ */
+function parseCallDuration(text) {
+  const clock = text.match(/(?:(\d+):)?(\d{1,2}):(\d{2})/);
+  if (clock) {
+    return Number(clock[1] || 0) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+  }
+
+  const unitSeconds = { h: 3600, m: 60, s: 1 };
+  let seconds = 0;
+  let found = false;
+
+  for (const [, value, unit] of text.matchAll(/(\d+)\s*(h|m|s)[a-z]*/gi)) {
+    seconds += Number(value) * unitSeconds[unit.toLowerCase()];
+    found = true;
+  }
+
+  return found ? seconds : null;
+}
+
+// What follows a call notice: a duration ("1 hr 5 min", "12:34") or nothing
+const CALL_DURATION_PATTERN = /^(?:(?:\d+\s*[\p{L}\p{M}]+\.?\s*)+|(?:\d+:)?\d{1,2}:\d{2})$/u;
+
+/**
+ * Extract coordinates from a maps link ("?q=12.97,77.59", "@12.97,77.59,15z")
+ */
+function parseCoordinates(url) {
+  let decoded = url;
+  try {
+    decoded = decodeURIComponent(url);
+  } catch {
+    // Malformed escapes - search the raw link
+  }
+
+  const match = decoded.match(/(-?\d{1,3}\.\d+),\s*(-?\d{1,3}\.\d+)/);
+  if (!match) {
+    return { latitude: null, longitude: null };
+  }
+  return { latitude: Number(match[1]), longitude: Number(match[2]) };
+}
+
+/**
+ * Parse a poll block:
+ *   POLL:
+ *   Where should we eat?
+ *   OPTION: Pizza (3 votes)
+ *   OPTION: Sushi (1 vote)
+ */
+function parsePoll(content, locale) {
+  const [firstLine, ...rest] = content.split('\n');
+  const lines = [firstLine.replace(locale.pollHeaderPattern, ''), ...rest].filter(Boolean);
+
+  const questionLines = [];
+  const options = [];
+
+  for (const line of lines) {
+    const optionMatch = line.match(locale.pollOptionPattern);
+    if (optionMatch) {
+      options.push({ text: optionMatch[1], votes: Number(optionMatch[2]) });
+    } else if (options.length === 0) {
+      questionLines.push(line);
+    }
+  }
+
+  return {
+    question: questionLines.join('\n'),
+    options,
+    totalVotes: options.reduce((sum, option) => sum + option.votes, 0)
+  };
+}
+
+/**
+ * Classify a (complete) message body and extract structured fields
+ * @param {boolean} systemMarker - Content was marked as WhatsApp-generated (see hasSystemMarker)
+ * @param {boolean} markedExport - The export marks generated content at all (iOS); then
+ *   deleted, call, location and poll notices without the marker are typed text
+ */
+function classifyMessage(content, locale, systemMarker, markedExport) {
+  const firstLine = content.split('\n')[0];
+  const generated = systemMarker || !markedExport;
+
+  // Check for attached media - Format 1: <attached: filename.ext>
+  const attachedMatch = firstLine.match(locale.attachedPattern);
+  if (attachedMatch) {
+    return analyzeAttachment(attachedMatch[1]);
+  }
+
   // Check for attached media - Format 2: filename.ext (file attached)
-  const attachedMatch2 = content.match(MEDIA_ATTACHED_PATTERN_2);
+  const attachedMatch2 = firstLine.match(locale.fileAttachedPattern);
   if (attachedMatch2) {
-    const filename = attachedMatch2[1];
-    const ext = attachedMatch2[2].toLowerCase();
-    let mediaType = 'document';
-
-    if (['jpg', 'jpeg', 'png', 'gif', 'webp'].includes(ext)) {
-      mediaType = 'image';
-    } else if (['mp4', 'avi', 'mov', 'mkv'].includes(ext)) {
-      mediaType = 'video';
-    } else if (['opus', 'mp3', 'ogg', 'aac', 'm4a'].includes(ext)) {
-      mediaType = 'audio';
-    } else if (['pdf', 'doc', 'docx', 'xls', 'xlsx'].includes(ext)) {
-      mediaType = 'document';
-    }
+    return analyzeAttachment(attachedMatch2[1]);
+  }
 
+  // Check for view once media (before omitted media, the placeholders overlap)
+  const viewOnce = locale.viewOncePatterns.find(({ pattern }) => pattern.test(firstLine));
+  if (viewOnce) {
     return {
-      type: 'media',
-      media: { filename, mediaType }
+      type: 'view_once',
+      media: null,
+      viewOnce: { mediaType: viewOnce.mediaType }
     };
   }
 
   // Check for omitted media
-  if (MEDIA_OMITTED_PATTERN.test(content)) {
+  if (locale.mediaOmittedPattern.test(firstLine)) {
     return {
       type: 'media_omitted',
       media: null
     };
   }
 
-  // Check if system message
-  if (isSystemMessage(content)) {
+  // Check for deleted messages
+  if (generated && locale.deletedPattern?.test(content)) {
     return {
-      type: 'system',
+      type: 'deleted',
       media: null
     };
   }
 
+  // Check for call log entries
+  for (const { kind, missed, pattern } of generated ? locale.callPatterns : []) {
+    const callMatch = content.match(pattern);
+    // Without the marker, "Video call at 8:30 tomorrow?" must stay text
+    if (callMatch && (systemMarker || !callMatch[1] || CALL_DURATION_PATTERN.test(callMatch[1].trim()))) {
+      return {
+        type: 'call',
+        media: null,
+        call: { kind, missed, duration: missed ? null : parseCallDuration(callMatch[1]) }
+      };
+    }
+  }
+
+  // Check for shared locations (a pin is always a link: "Location: still at the office" is text)
+  const locationMatch = generated ? firstLine.match(locale.locationPattern) : null;
+  if ((locationMatch && /^https?:\/\//.test(locationMatch[1])) || (generated && locale.liveLocationPattern?.test(firstLine))) {
+    const url = locationMatch ? locationMatch[1] : (content.match(/https?:\/\/\S+/)?.[0] || null);
+    return {
+      type: 'location',
+      media: null,
+      location: { ...parseCoordinates(url || ''), url, live: !locationMatch }
+    };
+  }
+
+  // Check for polls (with at least one option: "Poll: who wants pizza?" is text)
+  if (generated && locale.pollHeaderPattern?.test(firstLine)) {
+    const poll = parsePoll(content, locale);
+    if (poll.options.length > 0) {
+      return {
+        type: 'poll',
+        media: null,
+        poll
+      };
+    }
+  }
+
+  // Check if system message - only lines WhatsApp marked as generated qualify,
+  // so ordinary chat like "I left my keys" keeps its sender. Exports without
+  // markers fall back to the whole-line event patterns (not the substrings).
+  if (generated) {
+    const event = parseGroupEvent(firstLine, locale);
+    if (event || (systemMarker && isSystemMessage(firstLine, locale))) {
+      return {
+        type: 'system',
+        media: null,
+        ...(event && { event })
+      };
+    }
+  }
+
   // Regular text message
   return {
     type: 'text',
@@ -168,124 +432,364 @@ function analyzeMessage(content) {
 }
 
 /**
- * Parse the entire chat file
+ * Determine message type and extract media info
+ * Returns the (cleaned) content, type, media and any structured fields
+ * (call, location, contact, poll, viewOnce, event, edited) for the message.
+ * @param {Object} locale - Compiled locale pack (see locales/index.js)
+ * @param {boolean} systemMarker - Content was marked as WhatsApp-generated (see hasSystemMarker)
+ * @param {boolean} markedExport - The export uses the marker (see detectChatFormat)
  */
-export async function parseChatFile(filePath) {
-  let content = await readFile(filePath, 'utf-8');
+function analyzeMessage(content, locale, systemMarker = false, markedExport = false) {
+  // Edited messages keep their type, the marker is removed from the text
+  const edited = Boolean(locale.editedPattern?.test(content));
+  const cleanContent = edited ? content.replace(locale.editedPattern, '') : content;
+
+  return {
+    content: cleanContent,
+    ...classifyMessage(cleanContent, locale, systemMarker, markedExport),
+    ...(edited && { edited: true })
+  };
+}
 
-  // Normalize line endings (convert \r\n to \n)
-  content = content.replace(/\r\n/g, '\n');
+/**
+ * Remove invisible Unicode characters (like Left-to-Right marks and the byte order mark) and trim
+ */
+function cleanLine(line) {
+  return line.replace(/[\u200E\u200F\u202A-\u202E\uFEFF]/g, '').trim();
+}
 
-  const lines = content.split('\n');
+/**
+ * Check whether a raw line's message content starts with a Left-to-Right mark
+ * iOS exports prefix WhatsApp-generated content (system notices, attachments,
+ * calls...) with U+200E right after "Sender: ", typed messages never have it.
+ */
+function hasSystemMarker(rawLine) {
+  const colon = rawLine.indexOf(': ');
+  return colon !== -1 && rawLine[colon + 2] === '\u200E';
+}
+
+/**
+ * Match a message start line
+ * Returns { dateStr, timeStr, rest, formatType } or null for continuation lines
+ */
+function matchMessageStart(line) {
+  let match = line.match(MESSAGE_START_PATTERN_1);
+  if (match) {
+    return { dateStr: match[1], timeStr: match[2], rest: match[3], formatType: 1 };
+  }
+
+  match = line.match(MESSAGE_START_PATTERN_2);
+  if (match) {
+    return { dateStr: match[1], timeStr: match[2], rest: match[3], formatType: 2 };
+  }
+
+  return null;
+}
+
+/**
+ * Read the chat file line by line (raw, see cleanLine) without loading it into memory
+ * @param {string|Function} input - Path to _chat.txt, or a function returning
+ *   a (promise of a) readable stream of it, e.g. an entry of a .zip export
+ */
+async function* readChatLines(input) {
+  const stream = typeof input === 'function'
+    ? await input()
+    : createReadStream(input);
+
+  const lines = createInterface({
+    input: stream.setEncoding('utf-8'),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    yield line;
+  }
+}
+
+/**
+ * Create a message object from a matched start line
+ */
+function createMessage(id, start, format, locale) {
+  const timestamp = toZonedTimestamp(parseDateTime(start.dateStr, start.timeStr, format.dateFormat), format.timezone);
+
+  // Android group events have no sender - match them first, since the
+  // event text itself may contain ": " (e.g. a new subject)
+  const event = start.formatType === 2 ? parseGroupEvent(start.rest, locale) : null;
+  const senderMatch = event ? null : start.rest.match(SENDER_PATTERN);
+
+  if (!senderMatch) {
+    // System message format: date, time, content (no sender)
+    return {
+      id: `msg_${id}`,
+      timestamp,
+      sender: 'System',
+      content: start.rest.trim(),
+      type: 'system',
+      media: null,
+      ...(event && { event })
+    };
+  }
+
+  // Regular message format: date, time, sender, content
+  // (type and media are filled in by finalizeMessage once all lines are read)
+  const [, sender, messageContent] = senderMatch;
+
+  return {
+    id: `msg_${id}`,
+    timestamp,
+    sender: sender.trim(),
+    content: messageContent.trim(),
+    type: 'text',
+    media: null
+  };
+}
+
+/**
+ * Analyze a complete message (all continuation lines read)
+ * System lines without a sender are already final.
+ */
+function finalizeMessage(message, locale, systemMarker, markedExport) {
+  if (message.type === 'system') {
+    return message;
+  }
+  return Object.assign(message, analyzeMessage(message.content, locale, systemMarker, markedExport));
+}
+
+/**
+ * Detect the date order and export language of a whole chat file, and whether
+ * it marks WhatsApp-generated content (see hasSystemMarker)
+ * Settings that are not 'auto' are validated and returned as-is.
+ * @param {string|Function} input - Path to _chat.txt or a stream factory (see readChatLines)
+ * @param {Object} options
+ * @param {string} [options.dateFormat='auto'] - 'auto' or one of DATE_FORMATS to override detection
+ * @param {string} [options.locale='auto'] - 'auto' or a registered locale code to override detection
+ * @param {string} [options.timezone] - Timezone the export was made in (IANA name or offset, defaults to the system timezone)
+ * @param {boolean} [options.systemMarkers] - Skip the marker check (from an earlier detectChatFormat)
+ * @returns {Promise<{dateFormat: string, locale: string, timezone: string, systemMarkers: boolean}>}
+ */
+export async function detectChatFormat(input, options = {}) {
+  const { dateFormat = 'auto', locale = 'auto', systemMarkers } = options;
+  const timezone = resolveTimeZone(options.timezone);
+
+  if (dateFormat !== 'auto' && !DATE_FORMATS.includes(dateFormat)) {
+    throw new Error(`Unknown date format "${dateFormat}" (expected auto, ${DATE_FORMATS.join(', ')})`);
+  }
+  if (locale !== 'auto') {
+    getLocale(locale);
+  }
+
+  if (dateFormat !== 'auto' && locale !== 'auto' && systemMarkers !== undefined) {
+    return { dateFormat, locale, timezone, systemMarkers };
+  }
+
+  // Scan every message start line once
+  const dateDetector = createDateFormatDetector();
+  const localeDetector = createLocaleDetector();
+  let formatType = null;
+  let markerFound = false;
+
+  for await (const rawLine of readChatLines(input)) {
+    const start = matchMessageStart(cleanLine(rawLine));
+    if (!start) continue;
+
+    formatType ??= start.formatType;
+    markerFound ||= hasSystemMarker(rawLine);
+    dateDetector.add(start.dateStr, start.timeStr);
+    localeDetector.add(start.rest);
+  }
+
+  return {
+    dateFormat: dateFormat === 'auto' ? dateDetector.result(formatType) : dateFormat,
+    locale: locale === 'auto' ? localeDetector.result() : locale,
+    timezone,
+    systemMarkers: systemMarkers ?? markerFound
+  };
+}
+
+/**
+ * Shorten a line for diagnostics
+ */
+function excerpt(line) {
+  return line.length > 200 ? line.slice(0, 200) + '…' : line;
+}
+
+/**
+ * Parse the chat file as a stream of messages
+ * Yields each message as soon as its last line has been read, so memory use
+ * does not grow with the size of the export.
+ * Accepts the same options as detectChatFormat (detection costs one extra read of the file), plus:
+ * @param {Function} [options.onIssue] - Called with lines the parser could not make sense of:
+ *   { type: 'orphan_line', line, text }                 - text before the first message (dropped)
+ *   { type: 'unrecognized_line', line, text, messageId } - timestamp-like line in an unknown layout
+ *                                                         (kept as part of the previous message)
+ *   { type: 'invalid_date', line, text, messageId }     - date impossible in the detected order
+ *   { type: 'layout_mismatch', line, text, messageId }  - iOS and Android line layouts mixed
+ *   line is the 1-based line number in the chat file.
+ *
+ * Usage:
+ *   for await (const message of parseChatStream(chatFile)) { ... }
+ */
+export async function* parseChatStream(input, options = {}) {
+  const format = await detectChatFormat(input, options);
+  const locale = getLocale(format.locale);
+  const onIssue = options.onIssue || (() => {});
 
-  const messages = [];
   let currentMessage = null;
+  let currentSystemMarker = false;
   let messageId = 0;
+  let lineNumber = 0;
+  let formatType = null;
 
-  for (let line of lines) {
-    // Remove invisible Unicode characters (like Left-to-Right marks) and trim
-    line = line.replace(/[\u200E\u200F\u202A-\u202E]/g, '').trim();
+  for await (const rawLine of readChatLines(input)) {
+    lineNumber++;
+    const line = cleanLine(rawLine);
 
     // Skip empty lines
     if (!line) continue;
 
-    // Try all message patterns
-    let match = line.match(MESSAGE_START_PATTERN_1);
-    let isSystemMessage = false;
-    let formatType = 1; // Default to DD/MM/YY format
+    const start = matchMessageStart(line);
 
-    if (!match) {
-      match = line.match(MESSAGE_START_PATTERN_2);
-      if (match) formatType = 2; // M/D/YY format
-    }
-
-    if (!match) {
-      // Try system message pattern (Format 2 without colon)
-      match = line.match(MESSAGE_START_PATTERN_2_SYSTEM);
-      if (match) {
-        isSystemMessage = true;
-        formatType = 2; // M/D/YY format
-      }
-    }
-
-    if (match) {
-      // Save previous message if exists
+    if (start) {
+      // Emit previous message if exists
       if (currentMessage) {
-        messages.push(currentMessage);
+        yield finalizeMessage(currentMessage, locale, currentSystemMarker, format.systemMarkers);
       }
 
       // Start new message
-      if (isSystemMessage) {
-        // System message format: date, time, content (no sender)
-        const [, dateStr, timeStr, messageContent] = match;
-        const timestamp = parseDateTime(dateStr, timeStr, formatType);
-
-        currentMessage = {
-          id: `msg_${++messageId}`,
-          timestamp,
-          sender: 'System',
-          content: messageContent.trim(),
-          type: 'system',
-          media: null
-        };
-      } else {
-        // Regular message format: date, time, sender, content
-        const [, dateStr, timeStr, sender, messageContent] = match;
-        const timestamp = parseDateTime(dateStr, timeStr, formatType);
-        const analysis = analyzeMessage(messageContent);
-
-        currentMessage = {
-          id: `msg_${++messageId}`,
-          timestamp,
-          sender: sender.trim(),
-          content: messageContent.trim(),
-          ...analysis
-        };
+      currentMessage = createMessage(++messageId, start, format, locale);
+      currentSystemMarker = hasSystemMarker(rawLine);
+
+      formatType ??= start.formatType;
+      if (start.formatType !== formatType) {
+        onIssue({ type: 'layout_mismatch', line: lineNumber, text: excerpt(line), messageId: currentMessage.id });
+      }
+      if (!isValidDate(start.dateStr, format.dateFormat)) {
+        onIssue({ type: 'invalid_date', line: lineNumber, text: excerpt(line), messageId: currentMessage.id });
       }
     } else if (currentMessage) {
       // Multi-line message continuation
       currentMessage.content += '\n' + line;
+      if (DATE_LIKE_PATTERN.test(line)) {
+        onIssue({ type: 'unrecognized_line', line: lineNumber, text: excerpt(line), messageId: currentMessage.id });
+      }
+    } else {
+      onIssue({ type: 'orphan_line', line: lineNumber, text: excerpt(line) });
     }
   }
 
-  // Add last message
+  // Emit last message
   if (currentMessage) {
-    messages.push(currentMessage);
+    yield finalizeMessage(currentMessage, locale, currentSystemMarker, format.systemMarkers);
+  }
+}
+
+/**
+ * Parse the entire chat file into memory
+ * Accepts the same options as detectChatFormat
+ * @returns {Promise<{messages: Object[], dateFormat: string, locale: string, timezone: string}>}
+ */
+export async function parseChat(input, options = {}) {
+  const format = await detectChatFormat(input, options);
+
+  const messages = [];
+  for await (const message of parseChatStream(input, { ...options, ...format })) {
+    messages.push(message);
   }
 
+  return { messages, ...format };
+}
+
+/**
+ * Parse the entire chat file and return only the messages
+ * Accepts the same options as parseChat
+ */
+export async function parseChatFile(input, options = {}) {
+  const { messages } = await parseChat(input, options);
   return messages;
 }
 
 /**
- * Extract chat metadata from messages
+ * Create a collector that builds chat metadata one message at a time
+ * Use add(message) for every message, then result() - suitable for streamed parsing.
+ * @param {Object} options
+ * @param {string} [options.timezone] - Chat timezone, recorded in the metadata
  */
-export function extractMetadata(messages, chatName) {
+export function createMetadataCollector(chatName, options = {}) {
+  const timezone = resolveTimeZone(options.timezone);
   const participants = new Set();
-  let earliestDate = null;
-  let latestDate = null;
+  const participantDetails = new Map();
+  const events = [];
+  let messageCount = 0;
+  let earliest = null;
+  let latest = null;
 
-  messages.forEach(msg => {
-    if (msg.type !== 'system') {
-      participants.add(msg.sender);
-    }
+  return {
+    add(msg) {
+      messageCount++;
+
+      if (msg.type !== 'system') {
+        participants.add(msg.sender);
+
+        // One entry per identity: aliased names share a senderId
+        const key = msg.senderId || msg.sender;
+        let details = participantDetails.get(key);
+        if (!details) {
+          details = { id: msg.senderId || null, name: msg.sender, color: msg.senderColor || null, names: new Set(), messageCount: 0, voiceNoteSeconds: 0 };
+          participantDetails.set(key, details);
+        }
+        details.names.add(msg.originalSender || msg.sender);
+        details.messageCount++;
+
+        // Durations are filled in by the media probe (see mediaInfo.js)
+        if (msg.media && msg.media.duration && isVoiceNote(msg.media)) {
+          details.voiceNoteSeconds += msg.media.duration;
+        }
+      }
 
-    const msgDate = new Date(msg.timestamp);
-    if (!earliestDate || msgDate < earliestDate) {
-      earliestDate = msgDate;
-    }
-    if (!latestDate || msgDate > latestDate) {
-      latestDate = msgDate;
-    }
-  });
+      // Group events (members added/left, subject changes...) in chat order
+      if (msg.event) {
+        events.push({ messageId: msg.id, timestamp: msg.timestamp, ...msg.event });
+      }
 
-  return {
-    chatName,
-    exportDate: new Date().toISOString().split('T')[0],
-    messageCount: messages.length,
-    participants: Array.from(participants),
-    dateRange: {
-      start: earliestDate ? earliestDate.toISOString().split('T')[0] : null,
-      end: latestDate ? latestDate.toISOString().split('T')[0] : null
+      // Compare instants, but keep the timestamps to report local calendar days
+      const msgTime = new Date(msg.timestamp).getTime();
+      if (!earliest || msgTime < earliest.time) {
+        earliest = { time: msgTime, timestamp: msg.timestamp };
+      }
+      if (!latest || msgTime > latest.time) {
+        latest = { time: msgTime, timestamp: msg.timestamp };
+      }
+    },
+
+    result() {
+      return {
+        chatName,
+        exportDate: getDateKeyInZone(timezone),
+        timezone,
+        messageCount,
+        participants: Array.from(participants),
+        participantDetails: Array.from(participantDetails.values(), ({ names, messageCount, voiceNoteSeconds, ...details }) => ({
+          ...details,
+          names: Array.from(names),
+          messageCount,
+          voiceNoteMinutes: Math.round(voiceNoteSeconds / 6) / 10
+        })),
+        dateRange: {
+          start: earliest ? getLocalDateKey(earliest.timestamp) : null,
+          end: latest ? getLocalDateKey(latest.timestamp) : null
+        },
+        events
+      };
     }
   };
 }
+
+/**
+ * Extract chat metadata from messages
+ * Accepts the same options as createMetadataCollector
+ */
+export function extractMetadata(messages, chatName, options = {}) {
+  const collector = createMetadataCollector(chatName, options);
+  messages.forEach(msg => collector.add(msg));
+  return collector.result();
+}
@@ -0,0 +1,86 @@
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * Parse diagnostics
+ * Collects what the parser could not make sense of and media that does not
+ * line up with the messages, for parse-report.json:
+ *   {
+ *     chatName,
+ *     summary: { orphanLines, unrecognizedLines, formatMismatches, missingMedia, unreferencedMedia, problems, warnings },
+ *     orphanLines: [{ line, text }],                       - before the first message, dropped
+ *     unrecognizedLines: [{ line, text, messageId }],      - kept as part of the previous message
+ *     formatMismatches: [{ line, text, messageId, reason }], - 'invalid_date' or 'layout_mismatch'
+ *     missingMedia: [{ messageId, filename }],             - referenced but not in the export
+ *     unreferencedMedia: [filename]                        - in the export but never referenced
+ *   }
+ * Unreferenced media counts as a warning, not a problem: most exports have some
+ * (attachments of deleted messages, stickers).
+ */
+
+export const REPORT_FILE_NAME = 'parse-report.json';
+
+/**
+ * Create a report collector for one chat
+ * Pass add as parseChatStream's onIssue, then setMedia() and result().
+ */
+export function createParseReport(chatName) {
+  const orphanLines = [];
+  const unrecognizedLines = [];
+  const formatMismatches = [];
+  let missingMedia = [];
+  let unreferencedMedia = [];
+
+  return {
+    add(issue) {
+      const { type, ...details } = issue;
+      switch (type) {
+        case 'orphan_line':
+          orphanLines.push(details);
+          break;
+        case 'unrecognized_line':
+          unrecognizedLines.push(details);
+          break;
+        default:
+          formatMismatches.push({ ...details, reason: type });
+      }
+    },
+
+    setMedia(missing, unreferenced) {
+      missingMedia = missing;
+      unreferencedMedia = unreferenced;
+    },
+
+    result() {
+      const summary = {
+        orphanLines: orphanLines.length,
+        unrecognizedLines: unrecognizedLines.length,
+        formatMismatches: formatMismatches.length,
+        missingMedia: missingMedia.length,
+        unreferencedMedia: unreferencedMedia.length
+      };
+      summary.problems = summary.orphanLines + summary.unrecognizedLines + summary.formatMismatches + summary.missingMedia;
+      summary.warnings = summary.unreferencedMedia;
+
+      return {
+        chatName,
+        summary,
+        orphanLines,
+        unrecognizedLines,
+        formatMismatches,
+        missingMedia,
+        unreferencedMedia
+      };
+    }
+  };
+}
+
+/**
+ * Write parse-report.json to a chat's output folder
+ * @returns {Promise<string>} path of the written file
+ */
+export async function writeParseReport(report, outputDir) {
+  const reportPath = join(outputDir, REPORT_FILE_NAME);
+  await writeFile(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+  return reportPath;
+}
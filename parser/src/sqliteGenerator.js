@@ -0,0 +1,218 @@
+import { join } from 'path';
+import { rm } from 'fs/promises';
+import { getLocalDateKey } from './timezone.js';
+import { SPECIAL_TYPES, getMessageText } from './messageFormat.js';
+
+/**
+ * Generate a SQLite database (chat.sqlite) from parsed messages
+ * Uses node:sqlite (built into Node.js 22.13+), loaded only when this output is
+ * chosen so the other outputs keep working on older versions.
+ *
+ *   SELECT date, sender, text FROM messages
+ *   WHERE seq IN (SELECT rowid FROM messages_fts WHERE messages_fts MATCH 'birthday')
+ *   ORDER BY seq;
+ */
+
+const SCHEMA = `
+  CREATE TABLE chat (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE participants (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    names TEXT NOT NULL,              -- JSON array of every name used in the exports
+    color TEXT,
+    message_count INTEGER NOT NULL,
+    voice_note_minutes REAL NOT NULL
+  );
+
+  CREATE TABLE messages (
+    seq INTEGER PRIMARY KEY,          -- chat order
+    id TEXT NOT NULL UNIQUE,
+    timestamp TEXT NOT NULL,          -- "2025-06-18T23:52:46+05:30"
+    date TEXT NOT NULL,               -- the chat's local day
+    sender TEXT NOT NULL,
+    participant_id TEXT,
+    type TEXT NOT NULL,
+    text TEXT,                        -- without attachment markers; NULL when empty and for deleted, call, location, poll, view once
+    content TEXT NOT NULL,            -- as written in the export
+    edited INTEGER NOT NULL DEFAULT 0,
+    details TEXT                      -- JSON: call, location, poll, contact or viewOnce
+  );
+  CREATE INDEX messages_date ON messages (date);
+  CREATE INDEX messages_participant ON messages (participant_id);
+
+  CREATE TABLE media (
+    message_id TEXT PRIMARY KEY REFERENCES messages (id),
+    filename TEXT NOT NULL,
+    media_type TEXT NOT NULL,
+    mime_type TEXT,
+    file_size INTEGER,
+    width INTEGER,
+    height INTEGER,
+    duration REAL,
+    excluded TEXT                     -- type, size or budget when left out of the export
+  );
+
+  CREATE TABLE events (
+    message_id TEXT PRIMARY KEY REFERENCES messages (id),
+    type TEXT,                        -- member_added, subject_changed... NULL when not recognized
+    actor TEXT,
+    targets TEXT,                     -- JSON array
+    changed_from TEXT,
+    changed_to TEXT,
+    subject TEXT,
+    text TEXT NOT NULL
+  );
+
+  CREATE VIRTUAL TABLE messages_fts USING fts5 (
+    text,
+    content = 'messages',
+    content_rowid = 'seq',
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+`;
+
+// Rows written per transaction
+const BATCH_SIZE = 1000;
+
+/**
+ * Load node:sqlite, with a clear error on Node.js versions without it
+ * Call before writing anything so an export doesn't fail halfway (see checkOutputFormats).
+ */
+export async function loadSqlite() {
+  try {
+    return await import('node:sqlite');
+  } catch {
+    throw new Error(`The sqlite output needs Node.js 22.13 or newer (this is ${process.version})`);
+  }
+}
+
+async function openDatabase(dbPath) {
+  const sqlite = await loadSqlite();
+  return new sqlite.DatabaseSync(dbPath);
+}
+
+/**
+ * Delete a database file and its journals
+ */
+async function removeDatabase(dbPath) {
+  await Promise.all(['', '-journal', '-wal', '-shm'].map(suffix => rm(dbPath + suffix, { force: true })));
+}
+
+/**
+ * Structured fields of a message as JSON (null for plain messages)
+ */
+function getDetails(message) {
+  const details = {};
+  for (const key of ['call', 'location', 'poll', 'contact', 'viewOnce']) {
+    if (message[key]) details[key] = message[key];
+  }
+  return Object.keys(details).length > 0 ? JSON.stringify(details) : null;
+}
+
+/**
+ * Write chat.sqlite to outputDir (replacing an earlier one; removed again if writing fails)
+ * @param {Iterable|AsyncIterable} messages - Messages in chronological order
+ * @param {Object} metadata - Chat metadata (see parseExport)
+ * @param {string} outputDir
+ * @returns {Promise<string>} Path of the written file
+ */
+export async function generateSqliteFile(messages, metadata, outputDir) {
+  const dbPath = join(outputDir, 'chat.sqlite');
+  await removeDatabase(dbPath);
+  const db = await openDatabase(dbPath);
+
+  try {
+    db.exec('PRAGMA journal_mode = MEMORY');
+    db.exec(SCHEMA);
+
+    const insertChat = db.prepare('INSERT INTO chat (key, value) VALUES (?, ?)');
+    for (const [key, value] of Object.entries({
+      name: metadata.chatName,
+      timezone: metadata.timezone,
+      export_date: metadata.exportDate,
+      first_date: metadata.dateRange.start,
+      last_date: metadata.dateRange.end
+    })) {
+      insertChat.run(key, value ?? null);
+    }
+
+    const insertParticipant = db.prepare(
+      'INSERT OR IGNORE INTO participants (id, name, names, color, message_count, voice_note_minutes) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    for (const participant of metadata.participantDetails) {
+      insertParticipant.run(
+        participant.id || participant.name,
+        participant.name,
+        JSON.stringify(participant.names),
+        participant.color,
+        participant.messageCount,
+        participant.voiceNoteMinutes
+      );
+    }
+
+    const insertMessage = db.prepare(`
+      INSERT INTO messages (id, timestamp, date, sender, participant_id, type, text, content, edited, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertMedia = db.prepare(`
+      INSERT OR REPLACE INTO media (message_id, filename, media_type, mime_type, file_size, width, height, duration, excluded)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertEvent = db.prepare(`
+      INSERT OR REPLACE INTO events (message_id, type, actor, targets, changed_from, changed_to, subject, text)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    let pending = 0;
+    db.exec('BEGIN');
+    for await (const msg of messages) {
+      const text = getMessageText(msg);
+      insertMessage.run(
+        msg.id,
+        msg.timestamp,
+        getLocalDateKey(msg.timestamp),
+        msg.sender,
+        msg.type === 'system' ? null : msg.senderId || msg.sender,
+        msg.type,
+        SPECIAL_TYPES.includes(msg.type) || !text ? null : text,
+        msg.content,
+        msg.edited ? 1 : 0,
+        getDetails(msg)
+      );
+
+      if (msg.media && msg.media.filename) {
+        const { filename, mediaType, mimeType, fileSize, width, height, duration, excluded } = msg.media;
+        insertMedia.run(msg.id, filename, mediaType, mimeType ?? null, fileSize ?? null,
+          width ?? null, height ?? null, duration ?? null, excluded || null);
+      }
+
+      if (msg.type === 'system') {
+        const event = msg.event || {};
+        insertEvent.run(msg.id, event.type ?? null, event.actor ?? null,
+          event.targets ? JSON.stringify(event.targets) : null,
+          event.from ?? null, event.to ?? null, event.subject ?? null, text);
+      }
+
+      if (++pending === BATCH_SIZE) {
+        db.exec('COMMIT; BEGIN');
+        pending = 0;
+      }
+    }
+    db.exec('COMMIT');
+
+    // Index the text in one go (faster than keeping the index updated row by row)
+    db.exec("INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')");
+  } catch (error) {
+    // Don't leave a half-built database behind
+    db.close();
+    await removeDatabase(dbPath);
+    throw error;
+  }
+  db.close();
+
+  return dbPath;
+}
@@ -0,0 +1,83 @@
+import { join } from 'path';
+import { openFileWriter } from './fileWriter.js';
+import { getLocalDateKey } from './timezone.js';
+import {
+  formatLongDate,
+  formatClockTime,
+  getChatSummary,
+  getMessageText,
+  describeSpecialMessage,
+  getMediaPath,
+  getMediaLabel
+} from './messageFormat.js';
+
+/**
+ * Generate a normalized plain-text transcript (chat.txt) from parsed messages
+ * Whatever language and date order the export used, every message looks like
+ * "[09:15] Sender: text", under one heading per day. Continuation lines are
+ * indented, so each message still starts with its time.
+ */
+
+const INDENT = ' '.repeat('[00:00] '.length);
+
+/**
+ * Plain-text line for a message's attachment, with its path in the export folder
+ */
+function describeMedia(message) {
+  const label = getMediaLabel(message);
+  return message.media.excluded
+    ? `${label}, not included in this export`
+    : `${label} <${getMediaPath(message.media)}>`;
+}
+
+/**
+ * Generate the transcript lines of a message
+ */
+function generateMessageText(message) {
+  const time = `[${formatClockTime(message.timestamp)}]`;
+
+  if (message.type === 'system') {
+    return `${time} * ${getMessageText(message).replace(/\n/g, `\n${INDENT}`)}\n`;
+  }
+
+  const lines = [];
+  if (message.media && message.media.filename) {
+    lines.push(describeMedia(message));
+  }
+  const special = describeSpecialMessage(message);
+  lines.push(...(special.length > 0 ? special : getMessageText(message).split('\n')));
+
+  const sender = `${message.sender}${message.edited ? ' (edited)' : ''}`;
+  return `${time} ${sender}: ${lines.filter(Boolean).join(`\n${INDENT}`)}\n`;
+}
+
+/**
+ * Write chat.txt to outputDir
+ * @param {Iterable|AsyncIterable} messages - Messages in chronological order
+ * @param {Object} metadata - Chat metadata (see parseExport)
+ * @param {string} outputDir
+ * @returns {Promise<string>} Path of the written file
+ */
+export async function generateTextFile(messages, metadata, outputDir) {
+  const textPath = join(outputDir, 'chat.txt');
+  const writer = openFileWriter(textPath);
+
+  try {
+    await writer.write(`${metadata.chatName}\n${getChatSummary(metadata)}\n`);
+
+    let currentDateKey = null;
+    for await (const msg of messages) {
+      const dateKey = getLocalDateKey(msg.timestamp);
+      if (dateKey !== currentDateKey) {
+        currentDateKey = dateKey;
+        await writer.write(`\n--- ${formatLongDate(msg.timestamp)} ---\n\n`);
+      }
+
+      await writer.write(generateMessageText(msg));
+    }
+  } finally {
+    await writer.close();
+  }
+
+  return textPath;
+}
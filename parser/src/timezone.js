@@ -0,0 +1,161 @@
+/**
+ * Timezone handling for chat timestamps
+ * WhatsApp exports wall-clock times without an offset. Timestamps are stored as
+ * "2025-06-18T23:52:46+05:30": the wall-clock time as written in the export plus
+ * the chat's UTC offset at that moment, so the local calendar day is always the
+ * first 10 characters and never shifts when converted to UTC.
+ */
+
+// "+05:30", "-0800", "UTC+5", "GMT-03:00"
+const OFFSET_PATTERN = /^(?:UTC|GMT)?([+-])(\d{1,2})(?::?(\d{2}))?$/i;
+
+// One formatter per IANA zone (building formatters is expensive)
+const formatters = new Map();
+
+// Offsets by zone and wall-clock hour ("Asia/Kolkata|2025-06-18T23")
+const offsetCache = new Map();
+
+/**
+ * Get the system timezone (used when no timezone option is given)
+ */
+export function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Validate and normalize a timezone option
+ * Accepts IANA names ("Asia/Kolkata"), "UTC" and fixed offsets ("+05:30", "UTC-3").
+ * An empty value or 'local' means the system timezone.
+ */
+export function resolveTimeZone(timeZone) {
+  if (!timeZone || timeZone === 'local') {
+    return getSystemTimeZone();
+  }
+
+  if (/^(?:UTC|GMT|Z)$/i.test(timeZone)) {
+    return 'UTC';
+  }
+
+  const offsetMatch = timeZone.match(OFFSET_PATTERN);
+  if (offsetMatch) {
+    const [, sign, hours, minutes = '00'] = offsetMatch;
+    return `${sign}${hours.padStart(2, '0')}:${minutes}`;
+  }
+
+  try {
+    // Keep the name as given (ICU would canonicalize "Asia/Kolkata" to "Asia/Calcutta")
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch {
+    throw new Error(`Unknown timezone "${timeZone}" (expected an IANA name like "Asia/Kolkata" or an offset like "+05:30")`);
+  }
+}
+
+/**
+ * Get (cached) parts formatter for an IANA zone
+ */
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * UTC offset in minutes of a zone at a given instant
+ */
+function getOffsetMinutes(timeZone, utcMillis) {
+  const fixed = timeZone.match(OFFSET_PATTERN);
+  if (fixed) {
+    const [, sign, hours, minutes = '0'] = fixed;
+    return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+  }
+
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(utcMillis))) {
+    parts[type] = Number(value);
+  }
+
+  const wallMillis = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallMillis - Math.floor(utcMillis / 1000) * 1000) / 60000);
+}
+
+/**
+ * Format an offset in minutes as "+05:30"
+ */
+function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Read the wall-clock fields of a timestamp ("2025-06-18T23:52:46[+05:30]") as UTC millis
+ */
+function wallClockMillis(timestamp) {
+  const [, year, month, day, hours, minutes, seconds] = timestamp.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/);
+  return Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+}
+
+/**
+ * Add the zone's UTC offset to a wall-clock ISO timestamp
+ * "2025-06-18T23:52:46" in Asia/Kolkata → "2025-06-18T23:52:46+05:30"
+ */
+export function toZonedTimestamp(localIso, timeZone) {
+  const cacheKey = `${timeZone}|${localIso.slice(0, 13)}`;
+  let offset = offsetCache.get(cacheKey);
+
+  if (offset === undefined) {
+    const wall = wallClockMillis(localIso);
+
+    // Guess with the offset at the wall time, then re-check at the corrected instant (DST changes)
+    offset = getOffsetMinutes(timeZone, wall);
+    offset = getOffsetMinutes(timeZone, wall - offset * 60000);
+    offsetCache.set(cacheKey, offset);
+  }
+
+  return `${localIso}${formatOffset(offset)}`;
+}
+
+/**
+ * Local calendar day of a timestamp ("2025-06-18"), independent of the machine's timezone
+ */
+export function getLocalDateKey(timestamp) {
+  return timestamp.slice(0, 10);
+}
+
+/**
+ * Date whose UTC fields are the timestamp's wall-clock time
+ * Format it with timeZone: 'UTC' to display the time as written in the chat.
+ */
+export function toWallClockDate(timestamp) {
+  return new Date(wallClockMillis(timestamp));
+}
+
+/**
+ * Calendar day in a timezone for an instant (defaults to now)
+ */
+export function getDateKeyInZone(timeZone, utcMillis = Date.now()) {
+  const offset = getOffsetMinutes(resolveTimeZone(timeZone), utcMillis);
+  return new Date(utcMillis + offset * 60000).toISOString().slice(0, 10);
+}
+
+/**
+ * Shift a date key by a number of days ("2025-06-18", -1 → "2025-06-17")
+ */
+export function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
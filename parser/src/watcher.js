@@ -0,0 +1,95 @@
+import { watch } from 'fs';
+import { readdir } from 'fs/promises';
+import { join } from 'path';
+import { isChatExport } from './chatSource.js';
+
+/**
+ * Watching chat exports for changes
+ * Folders containing exports are watched for new or replaced exports, and
+ * every export folder is watched for changes to its files. Writes come in
+ * bursts (a zip being copied, a folder being extracted), so each export is
+ * reported once its writes have settled.
+ */
+
+const DEFAULT_DEBOUNCE_MS = 1000;
+
+/**
+ * Watch chat exports
+ * @param {Object} targets
+ * @param {string[]} [targets.containers] - Folders holding exports (and single chat files)
+ * @param {string[]} [targets.exports] - Export folders given directly
+ * @param {Function} onChange - Called with the path of the export (or file) that changed
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs] - Quiet time before a change is reported (default 1000)
+ * @returns {Promise<{close: Function}>}
+ */
+export async function watchExports(targets, onChange, options = {}) {
+  const debounceMs = options.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+  const watchers = new Map();
+  const timers = new Map();
+
+  function schedule(changedPath) {
+    clearTimeout(timers.get(changedPath));
+    timers.set(changedPath, setTimeout(() => {
+      timers.delete(changedPath);
+      onChange(changedPath);
+    }, debounceMs));
+  }
+
+  function watchPath(watchedPath, listener) {
+    if (watchers.has(watchedPath)) return;
+
+    try {
+      const watcher = watch(watchedPath, listener);
+      // A watched export folder that gets deleted or replaced just stops being watched
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(watchedPath);
+      });
+      watchers.set(watchedPath, watcher);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  function watchExportFolder(folderPath) {
+    watchPath(folderPath, () => schedule(folderPath));
+  }
+
+  async function watchContainer(dirPath) {
+    watchPath(dirPath, (eventType, fileName) => {
+      if (!fileName) return;
+      const changedPath = join(dirPath, fileName);
+
+      // A new or re-extracted export folder needs its own watcher (stale ones are replaced)
+      if (fileName.startsWith('WhatsApp Chat') && !/\.(zip|txt)$/i.test(fileName)) {
+        watchers.get(changedPath)?.close();
+        watchers.delete(changedPath);
+        watchExportFolder(changedPath);
+      }
+
+      schedule(changedPath);
+    });
+
+    const entries = await readdir(dirPath, { withFileTypes: true });
+    entries
+      .filter(entry => entry.isDirectory() && isChatExport(entry))
+      .forEach(entry => watchExportFolder(join(dirPath, entry.name)));
+  }
+
+  for (const dirPath of targets.containers || []) {
+    await watchContainer(dirPath);
+  }
+  for (const folderPath of targets.exports || []) {
+    watchExportFolder(folderPath);
+  }
+
+  return {
+    close() {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+    }
+  };
+}
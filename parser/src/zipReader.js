@@ -0,0 +1,223 @@
+import { open } from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createInflateRaw } from 'zlib';
+
+/**
+ * Minimal ZIP archive reader (pure Node, no external unzip tool)
+ * Supports stored and deflated entries and ZIP64 archives, which covers
+ * everything WhatsApp's "Export chat" produces.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+const EOCD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const LOCAL_HEADER_SIZE = 30;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Read a byte range of an open file
+ */
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Locate the end of central directory record (searching backwards past the archive comment)
+ */
+async function findEndOfCentralDirectory(handle, fileSize) {
+  const tailSize = Math.min(fileSize, EOCD_SIZE + MAX_COMMENT_SIZE);
+  const tailStart = fileSize - tailSize;
+  const tail = await readAt(handle, tailStart, tailSize);
+
+  for (let i = tail.length - EOCD_SIZE; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      return { offset: tailStart + i, record: tail.subarray(i, i + EOCD_SIZE) };
+    }
+  }
+
+  throw new Error('Not a zip archive (end of central directory not found)');
+}
+
+/**
+ * Read the central directory location, following the ZIP64 records when present
+ */
+async function readDirectoryLocation(handle, fileSize) {
+  const { offset, record } = await findEndOfCentralDirectory(handle, fileSize);
+
+  let entryCount = record.readUInt16LE(10);
+  let directorySize = record.readUInt32LE(12);
+  let directoryOffset = record.readUInt32LE(16);
+
+  if (entryCount === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+    const locator = await readAt(handle, offset - 20, 20);
+    if (locator.readUInt32LE(0) !== ZIP64_EOCD_LOCATOR_SIGNATURE) {
+      throw new Error('Invalid zip archive (ZIP64 locator not found)');
+    }
+
+    const zip64Record = await readAt(handle, Number(locator.readBigUInt64LE(8)), 56);
+    if (zip64Record.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error('Invalid zip archive (ZIP64 end of central directory not found)');
+    }
+
+    entryCount = Number(zip64Record.readBigUInt64LE(32));
+    directorySize = Number(zip64Record.readBigUInt64LE(40));
+    directoryOffset = Number(zip64Record.readBigUInt64LE(48));
+  }
+
+  return { entryCount, directorySize, directoryOffset };
+}
+
+/**
+ * Apply ZIP64 extended information (extra field 0x0001) to an entry
+ */
+function applyZip64Extra(entry, extra) {
+  let position = 0;
+
+  while (position + 4 <= extra.length) {
+    const id = extra.readUInt16LE(position);
+    const size = extra.readUInt16LE(position + 2);
+    let field = position + 4;
+
+    if (id === 0x0001) {
+      // Values are only present for header fields set to 0xFFFFFFFF, in this order
+      if (entry.size === 0xffffffff) {
+        entry.size = Number(extra.readBigUInt64LE(field));
+        field += 8;
+      }
+      if (entry.compressedSize === 0xffffffff) {
+        entry.compressedSize = Number(extra.readBigUInt64LE(field));
+        field += 8;
+      }
+      if (entry.headerOffset === 0xffffffff) {
+        entry.headerOffset = Number(extra.readBigUInt64LE(field));
+      }
+      return;
+    }
+
+    position += 4 + size;
+  }
+}
+
+/**
+ * Parse all central directory entries
+ */
+function parseCentralDirectory(directory, entryCount) {
+  const entries = [];
+  let position = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (directory.readUInt32LE(position) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Invalid zip archive (corrupt central directory)');
+    }
+
+    const nameLength = directory.readUInt16LE(position + 28);
+    const extraLength = directory.readUInt16LE(position + 30);
+    const commentLength = directory.readUInt16LE(position + 32);
+    const nameStart = position + 46;
+
+    const entry = {
+      name: directory.toString('utf-8', nameStart, nameStart + nameLength),
+      method: directory.readUInt16LE(position + 10),
+      crc32: directory.readUInt32LE(position + 16),
+      compressedSize: directory.readUInt32LE(position + 20),
+      size: directory.readUInt32LE(position + 24),
+      headerOffset: directory.readUInt32LE(position + 42)
+    };
+    applyZip64Extra(entry, directory.subarray(nameStart + nameLength, nameStart + nameLength + extraLength));
+
+    // Skip folder entries
+    if (!entry.name.endsWith('/')) {
+      entries.push(entry);
+    }
+
+    position = nameStart + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Open a zip archive and read its table of contents
+ * @returns {Promise<{path: string, entries: Object[], getEntry: Function, openEntryStream: Function, extractEntry: Function}>}
+ */
+export async function openZip(zipPath) {
+  const handle = await open(zipPath, 'r');
+  let entries;
+
+  try {
+    const { size: fileSize } = await handle.stat();
+    const { entryCount, directorySize, directoryOffset } = await readDirectoryLocation(handle, fileSize);
+    const directory = await readAt(handle, directoryOffset, directorySize);
+    entries = parseCentralDirectory(directory, entryCount);
+  } finally {
+    await handle.close();
+  }
+
+  const entriesByName = new Map(entries.map(entry => [entry.name, entry]));
+
+  /**
+   * Find where an entry's data starts (after its local header)
+   */
+  async function getDataOffset(entry) {
+    const fileHandle = await open(zipPath, 'r');
+    try {
+      const header = await readAt(fileHandle, entry.headerOffset, LOCAL_HEADER_SIZE);
+      if (header.length < LOCAL_HEADER_SIZE || header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+        throw new Error(`Invalid zip archive (corrupt local header for ${entry.name})`);
+      }
+      return entry.headerOffset + LOCAL_HEADER_SIZE + header.readUInt16LE(26) + header.readUInt16LE(28);
+    } finally {
+      await fileHandle.close();
+    }
+  }
+
+  /**
+   * Open a readable stream of an entry's uncompressed contents
+   */
+  async function openEntryStream(entry) {
+    if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+      throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+    }
+
+    const start = await getDataOffset(entry);
+    if (entry.compressedSize === 0) {
+      return Readable.from([]);
+    }
+
+    const raw = createReadStream(zipPath, { start, end: start + entry.compressedSize - 1 });
+    if (entry.method === METHOD_STORED) {
+      return raw;
+    }
+
+    // Forward read errors so consumers of the inflated stream see them
+    const inflate = createInflateRaw();
+    raw.on('error', error => inflate.destroy(error));
+    return raw.pipe(inflate);
+  }
+
+  /**
+   * Write an entry's uncompressed contents to a file
+   */
+  async function extractEntry(entry, destPath) {
+    await pipeline(await openEntryStream(entry), createWriteStream(destPath));
+  }
+
+  return {
+    path: zipPath,
+    entries,
+    getEntry: name => entriesByName.get(name),
+    openEntryStream,
+    extractEntry
+  };
+}
@@ -0,0 +1,200 @@
+import { open } from 'fs/promises';
+import { promisify } from 'util';
+import { deflateRaw } from 'zlib';
+
+/**
+ * Minimal ZIP archive writer (pure Node, no external zip tool)
+ * Entries are added one at a time and written straight to the file, so only
+ * the entry being added is in memory. Archives past 4 GB or 65,535 entries get
+ * ZIP64 records (see zipReader.js).
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+const FLAG_UTF8_NAME = 0x0800;
+
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+
+const deflate = promisify(deflateRaw);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields of a local time (2-second resolution, from 1980)
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Create a zip archive for streamed writing (replacing an existing file)
+ *
+ *   const zip = await openZipWriter('book.epub');
+ *   await zip.add('mimetype', 'application/epub+zip', { compress: false });
+ *   await zip.close();
+ *
+ * @returns {Promise<{add: Function, close: Function}>}
+ */
+export async function openZipWriter(zipPath) {
+  const handle = await open(zipPath, 'w');
+  const modified = toDosDateTime(new Date());
+  const entries = [];
+  let offset = 0;
+
+  async function writeBuffer(buffer) {
+    await handle.write(buffer, 0, buffer.length);
+    offset += buffer.length;
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} name - Path inside the archive (forward slashes)
+   * @param {Buffer|string} data - Contents (strings are written as UTF-8)
+   * @param {Object} [options]
+   * @param {boolean} [options.compress=true] - Deflate the contents (kept stored when that doesn't make them smaller)
+   */
+  async function add(name, data, options = {}) {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf-8');
+    if (content.length >= MAX_UINT32) {
+      throw new Error(`Zip entry too large: ${name}`);
+    }
+
+    let method = METHOD_STORED;
+    let stored = content;
+    if (options.compress !== false) {
+      const compressed = await deflate(content);
+      if (compressed.length < content.length) {
+        method = METHOD_DEFLATED;
+        stored = compressed;
+      }
+    }
+
+    const entry = {
+      name: Buffer.from(name, 'utf-8'),
+      method,
+      crc32: crc32(content),
+      compressedSize: stored.length,
+      size: content.length,
+      headerOffset: offset
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    header.writeUInt16LE(VERSION_DEFAULT, 4);
+    header.writeUInt16LE(FLAG_UTF8_NAME, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(modified.time, 10);
+    header.writeUInt16LE(modified.date, 12);
+    header.writeUInt32LE(entry.crc32, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(entry.name.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    await writeBuffer(Buffer.concat([header, entry.name]));
+    await writeBuffer(stored);
+    entries.push(entry);
+  }
+
+  /**
+   * Central directory record of an entry; the offset moves to a ZIP64 extra field past 4 GB
+   */
+  function centralHeader(entry) {
+    const zip64 = entry.headerOffset >= MAX_UINT32;
+    const extra = Buffer.alloc(zip64 ? 12 : 0);
+    if (zip64) {
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(8, 2);
+      extra.writeBigUInt64LE(BigInt(entry.headerOffset), 4);
+    }
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+    header.writeUInt16LE(zip64 ? VERSION_ZIP64 : VERSION_DEFAULT, 4);
+    header.writeUInt16LE(zip64 ? VERSION_ZIP64 : VERSION_DEFAULT, 6);
+    header.writeUInt16LE(FLAG_UTF8_NAME, 8);
+    header.writeUInt16LE(entry.method, 10);
+    header.writeUInt16LE(modified.time, 12);
+    header.writeUInt16LE(modified.date, 14);
+    header.writeUInt32LE(entry.crc32, 16);
+    header.writeUInt32LE(entry.compressedSize, 20);
+    header.writeUInt32LE(entry.size, 24);
+    header.writeUInt16LE(entry.name.length, 28);
+    header.writeUInt16LE(extra.length, 30);
+    header.writeUInt32LE(zip64 ? MAX_UINT32 : entry.headerOffset, 42);
+    return Buffer.concat([header, entry.name, extra]);
+  }
+
+  /**
+   * Write the central directory and close the file
+   */
+  async function close() {
+    try {
+      const directoryOffset = offset;
+      for (const entry of entries) {
+        await writeBuffer(centralHeader(entry));
+      }
+      const directorySize = offset - directoryOffset;
+
+      const zip64 = entries.length >= MAX_UINT16 || directoryOffset >= MAX_UINT32 || directorySize >= MAX_UINT32;
+      if (zip64) {
+        const zip64EndOffset = offset;
+        const record = Buffer.alloc(56);
+        record.writeUInt32LE(ZIP64_EOCD_SIGNATURE, 0);
+        record.writeBigUInt64LE(44n, 4);
+        record.writeUInt16LE(VERSION_ZIP64, 12);
+        record.writeUInt16LE(VERSION_ZIP64, 14);
+        record.writeBigUInt64LE(BigInt(entries.length), 24);
+        record.writeBigUInt64LE(BigInt(entries.length), 32);
+        record.writeBigUInt64LE(BigInt(directorySize), 40);
+        record.writeBigUInt64LE(BigInt(directoryOffset), 48);
+
+        const locator = Buffer.alloc(20);
+        locator.writeUInt32LE(ZIP64_EOCD_LOCATOR_SIGNATURE, 0);
+        locator.writeBigUInt64LE(BigInt(zip64EndOffset), 8);
+        locator.writeUInt32LE(1, 16);
+        await writeBuffer(Buffer.concat([record, locator]));
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(EOCD_SIGNATURE, 0);
+      end.writeUInt16LE(zip64 ? MAX_UINT16 : entries.length, 8);
+      end.writeUInt16LE(zip64 ? MAX_UINT16 : entries.length, 10);
+      end.writeUInt32LE(zip64 ? MAX_UINT32 : directorySize, 12);
+      end.writeUInt32LE(zip64 ? MAX_UINT32 : directoryOffset, 16);
+      await writeBuffer(end);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  return { add, close };
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { exportChat } from '../src/index.js';
+
+/**
+ * Export a chat as chat.csv and return its records (split on CRLF, header first)
+ */
+async function exportCsv(t, lines) {
+  const root = await mkdtemp(join(tmpdir(), 'chat-csv-'));
+  t.after(() => rm(root, { recursive: true, force: true }));
+
+  const exportDir = join(root, 'WhatsApp Chat - Sheet');
+  await mkdir(exportDir);
+  await writeFile(join(exportDir, '_chat.txt'), lines.map(line => `${line}\n`).join(''));
+
+  const { files } = await exportChat(exportDir, { outputDir: join(root, 'output'), formats: ['csv'] });
+  return (await readFile(files.csv, 'utf-8')).split('\r\n');
+}
+
+test('only free-text cells are defused', async t => {
+  const [, formula, dash, phone] = await exportCsv(t, [
+    '18/06/2025, 09:00 - Mom: =HYPERLINK("http://x")',
+    '18/06/2025, 09:01 - Mom: - milk',
+    '18/06/2025, 09:02 - +49 151 23456789: Hello'
+  ]);
+  assert.ok(formula.endsWith(`,"'=HYPERLINK(""http://x"")"`));
+  assert.ok(dash.endsWith(",'- milk"));
+  assert.equal(phone.split(',')[3], '+49 151 23456789');
+});
+
+test('calls, locations and polls keep their text', async t => {
+  const [, call, location, poll] = await exportCsv(t, [
+    '18/06/2025, 09:00 - Mom: Missed voice call',
+    '18/06/2025, 09:01 - Mom: location: https://maps.google.com/?q=12.97,77.59',
+    '18/06/2025, 09:02 - Dad: POLL:',
+    'Where should we eat?',
+    'OPTION: Pizza (2 votes)'
+  ]);
+  assert.ok(call.endsWith(',0,0,📞 Missed voice call'));
+  assert.ok(location.endsWith(',"📍 Location: https://maps.google.com/?q=12.97,77.59"'));
+  assert.ok(poll.endsWith(',"📊 Where should we eat?\n- Pizza: 2 votes"'));
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, readFile, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { exportChat } from '../src/index.js';
+
+const PHOTO = 'plaintext photo bytes';
+const DOCUMENT = 'plaintext document bytes';
+
+async function listFiles(dir) {
+  const entries = await readdir(dir, { withFileTypes: true, recursive: true });
+  return entries.filter(entry => entry.isFile()).map(entry => join(entry.parentPath ?? entry.path, entry.name));
+}
+
+test('--encrypt-media after a plain run leaves no plaintext media in the output', async t => {
+  const root = await mkdtemp(join(tmpdir(), 'chat-encryption-'));
+  t.after(() => rm(root, { recursive: true, force: true }));
+
+  const exportDir = join(root, 'WhatsApp Chat - Family');
+  const outputDir = join(root, 'output');
+  await mkdir(exportDir);
+  await writeFile(join(exportDir, '_chat.txt'), [
+    '18/06/2025, 09:00 - Mom: IMG-20250618-WA0001.jpg (file attached)',
+    '18/06/2025, 09:01 - Dad: Plan.pdf (file attached)',
+    ''
+  ].join('\n'));
+  await writeFile(join(exportDir, 'IMG-20250618-WA0001.jpg'), PHOTO);
+  await writeFile(join(exportDir, 'Plan.pdf'), DOCUMENT);
+
+  await exportChat(exportDir, { outputDir });
+  const plainFiles = await listFiles(outputDir);
+  assert.ok(plainFiles.some(file => file.includes('.media-store')), 'the plain run stores media');
+
+  await exportChat(exportDir, { outputDir, passphrase: 'correct horse', encryptMedia: true });
+
+  for (const file of await listFiles(outputDir)) {
+    const content = await readFile(file, 'utf-8');
+    assert.ok(!content.includes(PHOTO) && !content.includes(DOCUMENT), `plaintext media in ${file}`);
+  }
+});
+
+test('an encrypted viewer does not show the chat name before it is unlocked', async t => {
+  const root = await mkdtemp(join(tmpdir(), 'chat-encryption-'));
+  t.after(() => rm(root, { recursive: true, force: true }));
+
+  const exportDir = join(root, 'WhatsApp Chat - Secret Plans');
+  await mkdir(exportDir);
+  await writeFile(join(exportDir, '_chat.txt'), '18/06/2025, 09:00 - Mom: Hello\n');
+
+  const { files } = await exportChat(exportDir, { outputDir: join(root, 'output'), passphrase: 'correct horse' });
+  const html = await readFile(files.html, 'utf-8');
+  assert.ok(!html.includes('Secret Plans'));
+  assert.match(html, /<title>Encrypted chat - WhatsApp Chat<\/title>/);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { inflateRawSync } from 'zlib';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { exportChat } from '../src/index.js';
+
+/**
+ * Read the entries of a zip file written by zipWriter (sizes are in the local headers)
+ */
+function readZipEntries(zip) {
+  const entries = new Map();
+  let offset = 0;
+  while (zip.readUInt32LE(offset) === 0x04034b50) {
+    const method = zip.readUInt16LE(offset + 8);
+    const compressedSize = zip.readUInt32LE(offset + 18);
+    const nameLength = zip.readUInt16LE(offset + 26);
+    const extraLength = zip.readUInt16LE(offset + 28);
+    const name = zip.toString('utf-8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    const data = zip.subarray(start, start + compressedSize);
+    entries.set(name, (method === 8 ? inflateRawSync(data) : data).toString('utf-8'));
+    offset = start + compressedSize;
+  }
+  return entries;
+}
+
+test('punctuation after a link stays out of the EPUB link', async t => {
+  const root = await mkdtemp(join(tmpdir(), 'chat-epub-'));
+  t.after(() => rm(root, { recursive: true, force: true }));
+
+  const exportDir = join(root, 'WhatsApp Chat - Links');
+  await mkdir(exportDir);
+  await writeFile(join(exportDir, '_chat.txt'), '18/06/2025, 09:00 - Mom: (see http://x.com/a). Open http://x.com/b, then http://x.com/c!\n');
+
+  const { files } = await exportChat(exportDir, { outputDir: join(root, 'output'), formats: ['epub'] });
+  const chapters = [...readZipEntries(await readFile(files.epub))]
+    .filter(([name]) => /chapter.*\.xhtml$/.test(name))
+    .map(([, content]) => content)
+    .join('');
+
+  assert.ok(chapters.includes('(see <a href="http://x.com/a">http://x.com/a</a>).'));
+  assert.ok(chapters.includes('Open <a href="http://x.com/b">http://x.com/b</a>, then <a href="http://x.com/c">http://x.com/c</a>!'));
+});
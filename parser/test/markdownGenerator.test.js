@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { exportChat } from '../src/index.js';
+import { findUrls } from '../src/messageFormat.js';
+
+/**
+ * Export a chat with the given message texts as chat.md and return its contents
+ */
+async function exportMarkdown(t, texts) {
+  const root = await mkdtemp(join(tmpdir(), 'chat-markdown-'));
+  t.after(() => rm(root, { recursive: true, force: true }));
+
+  const exportDir = join(root, 'WhatsApp Chat - Links');
+  await mkdir(exportDir);
+  await writeFile(join(exportDir, '_chat.txt'), texts.map(text => `18/06/2025, 09:00 - Mom: ${text}\n`).join(''));
+
+  const { files } = await exportChat(exportDir, { outputDir: join(root, 'output'), formats: ['markdown'] });
+  return readFile(files.markdown, 'utf-8');
+}
+
+test('punctuation after a link stays out of the autolink', async t => {
+  const markdown = await exportMarkdown(t, ['(see http://x.com/a).', 'Open http://x.com/b, then http://x.com/c!']);
+  assert.ok(markdown.includes('(see <http://x.com/a>).'));
+  assert.ok(markdown.includes('Open <http://x.com/b>, then <http://x.com/c>!'));
+});
+
+test('quotes and a closing parenthesis of a formula stay out of the autolink', async t => {
+  const markdown = await exportMarkdown(t, ['=HYPERLINK("http://x")']);
+  assert.ok(markdown.includes('<http://x>")'));
+});
+
+test('balanced parentheses belong to the link', () => {
+  assert.deepEqual(findUrls('https://en.wikipedia.org/wiki/Pizza_(disambiguation).'), [
+    { url: 'https://en.wikipedia.org/wiki/Pizza_(disambiguation)', index: 0 }
+  ]);
+  assert.deepEqual(findUrls('http://.'), []);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { parseChat } from '../src/parser.js';
+
+const fixture = name => fileURLToPath(new URL(`fixtures/${name}`, import.meta.url));
+
+/**
+ * Parse a fixture and look its messages up by the first line of their content
+ */
+async function parseFixture(name) {
+  const result = await parseChat(fixture(name));
+  const byText = text => {
+    const message = result.messages.find(msg => msg.content.split('\n')[0] === text);
+    assert.ok(message, `no message "${text}" in ${name}`);
+    return message;
+  };
+  return { ...result, byText };
+}
+
+test('unmarked iOS export: notices are recognized from the locale patterns', async () => {
+  const { systemMarkers, byText } = await parseFixture('ios-unmarked.txt');
+  assert.equal(systemMarkers, false);
+
+  assert.equal(byText('This message was deleted').type, 'deleted');
+  assert.deepEqual(byText('Voice call. 12 min').call, { kind: 'voice', missed: false, duration: 720 });
+  assert.deepEqual(byText('Missed video call').call, { kind: 'video', missed: true, duration: null });
+
+  const location = byText('location: https://maps.google.com/?q=12.97,77.59');
+  assert.equal(location.type, 'location');
+  assert.equal(location.location.latitude, 12.97);
+
+  const poll = byText('POLL:');
+  assert.equal(poll.type, 'poll');
+  assert.equal(poll.poll.question, 'Where should we eat?');
+  assert.equal(poll.poll.totalVotes, 3);
+});
+
+test('unmarked iOS export: typed text that looks like a notice stays text', async () => {
+  const { byText } = await parseFixture('ios-unmarked.txt');
+  assert.equal(byText('Video call at 8:30 tomorrow?').type, 'text');
+  assert.equal(byText('Location: still at the office').type, 'text');
+  assert.equal(byText('I left my keys').type, 'text');
+});
+
+test('marked iOS export: only marked lines are notices', async () => {
+  const { systemMarkers, messages } = await parseFixture('ios-marked.txt');
+  assert.equal(systemMarkers, true);
+
+  const deleted = messages.filter(msg => msg.content === 'This message was deleted');
+  assert.deepEqual(deleted.map(msg => [msg.sender, msg.type]), [['Bob', 'deleted'], ['Dad', 'text']]);
+  assert.equal(messages.find(msg => msg.sender === 'Mom').type, 'call');
+  assert.equal(messages.find(msg => msg.content === 'Missed video call').type, 'text');
+});
+
+test('unmarked iOS export: group events are parsed from whole lines', async () => {
+  const { byText } = await parseFixture('ios-unmarked.txt');
+
+  const added = byText('Mom added Dad and Bob');
+  assert.equal(added.type, 'system');
+  assert.deepEqual(added.event, { type: 'member_added', actor: 'Mom', targets: ['Dad', 'Bob'] });
+
+  assert.deepEqual(byText('Mom created group "Family"').event, { type: 'group_created', actor: 'Mom', subject: 'Family' });
+  assert.deepEqual(byText('Dad changed the subject from "Family" to "Family 🏡"').event,
+    { type: 'subject_changed', actor: 'Dad', from: 'Family', to: 'Family 🏡' });
+  assert.deepEqual(byText('Bob left').event, { type: 'member_left', actor: 'Bob' });
+});
+
+test('marked iOS export: group events need the marker', async () => {
+  const { messages } = await parseFixture('ios-marked.txt');
+  const events = messages.filter(msg => msg.type === 'system').map(msg => msg.event);
+  assert.deepEqual(events, [
+    { type: 'member_added', actor: 'Mom', targets: ['Dad'] },
+    { type: 'member_left', actor: 'Bob' }
+  ]);
+  assert.equal(messages.find(msg => msg.content === 'I left my keys').type, 'text');
+});
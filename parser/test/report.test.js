@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createParseReport } from '../src/report.js';
+
+test('unreferenced media is a warning, not a parse problem', () => {
+  const report = createParseReport('Family');
+  report.setMedia([], ['STK-20250618-WA0001.webp', 'IMG-20250618-WA0002.jpg']);
+  assert.equal(report.result().summary.problems, 0);
+  assert.equal(report.result().summary.warnings, 2);
+});
+
+test('unparsed lines and missing media are parse problems', () => {
+  const report = createParseReport('Family');
+  report.add({ type: 'orphan_line', line: 1, text: 'hello' });
+  report.add({ type: 'invalid_date', line: 7, text: '[31/02/25, 10:00:00] Mom: hi', messageId: 'msg_3' });
+  report.setMedia([{ messageId: 'msg_4', filename: 'IMG-1.jpg' }], ['IMG-2.jpg']);
+
+  const { summary, formatMismatches } = report.result();
+  assert.equal(summary.problems, 3);
+  assert.equal(summary.warnings, 1);
+  assert.equal(formatMismatches[0].reason, 'invalid_date');
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { generateSqliteFile, loadSqlite } from '../src/sqliteGenerator.js';
+
+const sqliteMissing = await loadSqlite().then(() => false, () => 'needs node:sqlite (Node.js 22.13+)');
+
+const metadata = {
+  chatName: 'Family',
+  timezone: 'UTC',
+  exportDate: '2025-06-20T00:00:00.000Z',
+  dateRange: { start: '2025-06-18', end: '2025-06-18' },
+  participantDetails: []
+};
+
+test('a failed write leaves no chat.sqlite behind', { skip: sqliteMissing }, async t => {
+  const outputDir = await mkdtemp(join(tmpdir(), 'chat-sqlite-'));
+  t.after(() => rm(outputDir, { recursive: true, force: true }));
+
+  async function* messages() {
+    yield { id: 'msg_1', timestamp: '2025-06-18T09:00:00+00:00', sender: 'Mom', type: 'text', content: 'Hello', media: null };
+    throw new Error('export went away');
+  }
+
+  await assert.rejects(generateSqliteFile(messages(), metadata, outputDir), /export went away/);
+  assert.deepEqual(await readdir(outputDir), []);
+});